@@ -5,6 +5,15 @@
  */
 
 const StatsAnalyzer = (function () {
+  // Bump when the stats produced from the same works change meaningfully
+  const VERSION = 1;
+
+  // Reading speed used for every time estimate
+  const WORDS_PER_MINUTE = 250;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const YEAR_MS = 365 * DAY_MS;
+
   /**
    * Counts occurrences of items in an array
    * @param {string[]} items - Array of strings to count
@@ -52,16 +61,91 @@ const StatsAnalyzer = (function () {
     return Math.round(words / 90000);
   }
 
+  /**
+   * Parses an AO3 date (e.g. "12 Jan 2024") to a timestamp
+   * @param {string} dateStr - Date text
+   * @returns {number|null} Milliseconds since the epoch, or null if it can't be parsed
+   */
+  function toTimestamp(dateStr) {
+    const time = dateStr ? new Date(dateStr).getTime() : NaN;
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Checks whether an author byline belongs to an AO3 user ("name" or "pseud (name)")
+   * @param {string} author - Author as shown on a work
+   * @param {string} username - AO3 username
+   * @returns {boolean}
+   */
+  function isByUser(author, username) {
+    const name = author.toLowerCase();
+    const user = username.toLowerCase();
+    return name === user || name.endsWith(`(${user})`);
+  }
+
+  /**
+   * Sizes up the Marked for Later backlog
+   * @param {Object[]} works - All works, including ones that are only on the list
+   * @param {number} asOf - When the data was scraped
+   * @returns {Object} TBR stats
+   */
+  function analyzeBacklog(works, asOf) {
+    const backlog = works.filter(w => w.isMarkedForLater);
+    const backlogWords = backlog
+      .filter(w => !w.isExternal)
+      .reduce((sum, w) => sum + (w.wordCount || 0), 0);
+
+    // AO3 doesn't say when a work was marked, so the last visit stands in for it
+    const datedBacklog = backlog
+      .filter(w => toTimestamp(w.lastVisited) !== null)
+      .sort((a, b) => toTimestamp(a.lastVisited) - toTimestamp(b.lastVisited));
+    const oldestBacklogWork = datedBacklog[0] || null;
+
+    // A complete work last updated after the visit was still a WIP when it was marked
+    const finishedSinceMarked = backlog.filter(w => {
+      const marked = toTimestamp(w.lastVisited);
+      const updated = toTimestamp(w.dateUpdated);
+      return w.complete === true && marked !== null && updated !== null && updated > marked;
+    }).length;
+    const backlogWips = backlog.filter(w => w.complete === false).length + finishedSinceMarked;
+
+    return {
+      count: backlog.length,
+      words: backlogWords,
+      wordsFormatted: formatNumber(backlogWords),
+      hours: Math.round(backlogWords / WORDS_PER_MINUTE / 60),
+      oldest: oldestBacklogWork ? {
+        ...oldestBacklogWork,
+        daysWaiting: Math.floor((asOf - toTimestamp(oldestBacklogWork.lastVisited)) / DAY_MS)
+      } : null,
+      wipCount: backlogWips,
+      finishedSinceMarked,
+      finishedPercent: backlogWips > 0 ? Math.round((finishedSinceMarked / backlogWips) * 100) : 0
+    };
+  }
+
   /**
    * Analyzes reading history to generate all statistics
-   * @param {Object[]} works - Array of work objects with metadata
+   * @param {Object[]} allWorks - Array of work objects with metadata
+   * @param {Object} context - Data scraped alongside the works
+   * @param {Object[]} context.subscriptions - Subscribed works, series and users, if they were scraped
+   * @param {number} context.asOf - When the data was scraped (defaults to now)
+   * @param {number} context.year - Year that counts as "this year" (defaults to the year of asOf)
    * @returns {Object} Complete statistics object
    */
-  function analyze(works) {
-    if (!works || works.length === 0) {
+  function analyze(allWorks, context = {}) {
+    const { subscriptions = null, asOf = Date.now() } = context;
+    const year = context.year || new Date(asOf).getFullYear();
+    // Works that are only on the Marked for Later list haven't been read, so
+    // they only count towards the TBR backlog
+    const works = (allWorks || []).filter(w => !w.isToReadOnly);
+    // Worked out first, so a scrape of just the Marked for Later list still gets its TBR slide
+    const tbrStats = analyzeBacklog(allWorks || [], asOf);
+    if (works.length === 0) {
       return {
         isEmpty: true,
-        totalWorks: 0
+        totalWorks: 0,
+        tbrStats
       };
     }
 
@@ -74,14 +158,20 @@ const StatsAnalyzer = (function () {
     // Total works
     stats.totalWorks = works.length;
 
+    // External works (bookmarked fic hosted off AO3) have no word count, so
+    // word-based stats only look at AO3 works
+    const wordCountWorks = works.filter(w => !w.isExternal);
+
     // Total words
-    const wordsArray = works.map(w => w.wordCount || 0);
+    const wordsArray = wordCountWorks.map(w => w.wordCount || 0);
     stats.totalWords = wordsArray.reduce((sum, w) => sum + w, 0);
     stats.totalWordsFormatted = formatNumber(stats.totalWords);
     stats.approximateBooks = wordsToBooks(stats.totalWords);
 
     // Average words per work
-    stats.averageWords = Math.round(stats.totalWords / stats.totalWorks);
+    stats.averageWords = wordCountWorks.length > 0
+      ? Math.round(stats.totalWords / wordCountWorks.length)
+      : 0;
     stats.averageWordsFormatted = formatNumber(stats.averageWords);
 
     // Total visits (re-reads)
@@ -164,6 +254,34 @@ const StatsAnalyzer = (function () {
     const explicitCount = ratingCounts.get('Explicit') || 0;
     stats.smutPercentage = Math.round((explicitCount / stats.totalWorks) * 100);
 
+    // ==================
+    // CATEGORY BREAKDOWN
+    // ==================
+
+    // A work can have several categories (e.g. "F/M, M/M"), so percents can add up past 100
+    const categorizedWorks = works.filter(w => (w.categories || []).length > 0);
+    const categoryCounts = countOccurrences(categorizedWorks.flatMap(w => w.categories));
+    const categoryOrder = ['M/M', 'F/M', 'F/F', 'Gen', 'Multi', 'Other'];
+    stats.categoryBreakdown = categoryOrder.map(category => {
+      const count = categoryCounts.get(category) || 0;
+      return {
+        category,
+        count,
+        percent: categorizedWorks.length > 0 ? Math.round((count / categorizedWorks.length) * 100) : 0
+      };
+    });
+    stats.favoriteCategory = categorizedWorks.length > 0
+      ? stats.categoryBreakdown.reduce((max, c) => c.count > max.count ? c : max, stats.categoryBreakdown[0])
+      : null;
+
+    // ==================
+    // LANGUAGES READ
+    // ==================
+
+    const languageCounts = countOccurrences(works.map(w => w.language));
+    stats.topLanguages = getTopN(languageCounts, 5);
+    stats.languageCount = languageCounts.size;
+
     // ==================
     // COMPLETION STATUS
     // ==================
@@ -184,7 +302,7 @@ const StatsAnalyzer = (function () {
     // LONGEST WORK
     // ==================
 
-    const sortedByLength = [...works].sort((a, b) =>
+    const sortedByLength = [...wordCountWorks].sort((a, b) =>
       (b.wordCount || 0) - (a.wordCount || 0));
     stats.longestWork = sortedByLength[0] || null;
 
@@ -274,18 +392,18 @@ const StatsAnalyzer = (function () {
     // ==================
 
     const lengthBuckets = {
-      'Drabbles (<1K)': works.filter(w => (w.wordCount || 0) < 1000).length,
-      'Short (1K-5K)': works.filter(w => (w.wordCount || 0) >= 1000 && (w.wordCount || 0) < 5000).length,
-      'Medium (5K-20K)': works.filter(w => (w.wordCount || 0) >= 5000 && (w.wordCount || 0) < 20000).length,
-      'Long (20K-50K)': works.filter(w => (w.wordCount || 0) >= 20000 && (w.wordCount || 0) < 50000).length,
-      'Epic (50K-100K)': works.filter(w => (w.wordCount || 0) >= 50000 && (w.wordCount || 0) < 100000).length,
-      'Novel+ (100K+)': works.filter(w => (w.wordCount || 0) >= 100000).length
+      'Drabbles (<1K)': wordCountWorks.filter(w => (w.wordCount || 0) < 1000).length,
+      'Short (1K-5K)': wordCountWorks.filter(w => (w.wordCount || 0) >= 1000 && (w.wordCount || 0) < 5000).length,
+      'Medium (5K-20K)': wordCountWorks.filter(w => (w.wordCount || 0) >= 5000 && (w.wordCount || 0) < 20000).length,
+      'Long (20K-50K)': wordCountWorks.filter(w => (w.wordCount || 0) >= 20000 && (w.wordCount || 0) < 50000).length,
+      'Epic (50K-100K)': wordCountWorks.filter(w => (w.wordCount || 0) >= 50000 && (w.wordCount || 0) < 100000).length,
+      'Novel+ (100K+)': wordCountWorks.filter(w => (w.wordCount || 0) >= 100000).length
     };
 
     stats.lengthDistribution = Object.entries(lengthBuckets).map(([label, count]) => ({
       label,
       count,
-      percent: Math.round((count / stats.totalWorks) * 100)
+      percent: wordCountWorks.length > 0 ? Math.round((count / wordCountWorks.length) * 100) : 0
     }));
 
     // Find preferred length
@@ -429,14 +547,14 @@ const StatsAnalyzer = (function () {
     // READING TIME ESTIMATE
     // ==================
 
-    // Average reading speed: ~250 words per minute
-    const totalMinutes = Math.round(stats.totalWords / 250);
+    const totalMinutes = Math.round(stats.totalWords / WORDS_PER_MINUTE);
     const totalHours = Math.round(totalMinutes / 60);
     const totalDays = (totalHours / 24).toFixed(1);
     stats.readingTime = {
       minutes: totalMinutes,
       hours: totalHours,
-      days: parseFloat(totalDays)
+      days: parseFloat(totalDays),
+      wordsPerMinute: WORDS_PER_MINUTE
     };
 
     // ==================
@@ -448,20 +566,22 @@ const StatsAnalyzer = (function () {
       'Fanfiction', 'Fandom', 'Crossover', 'Alternate Universe',
       // Ratings
       'Explicit', 'Mature', 'Teen', 'General',
-      // Categories
-      'M/M', 'F/M', 'F/F', 'Gen', 'Multi', 'Other',
       // Common meta tags
       'POV', 'One Shot', 'Oneshot', 'Drabble', 'Ficlet', 'Series'
     ];
 
+    // Authors sometimes repeat a work's category or ship as a freeform tag; the
+    // real category and relationship tags say which tags those are
+    const nonTropeTags = new Set(
+      works.flatMap(w => [...(w.categories || []), ...(w.relationships || [])]).map(tag => tag.toLowerCase())
+    );
+
     const tropeTags = Array.from(tagCounts.entries())
       .filter(([tag]) => {
         const lowerTag = tag.toLowerCase();
         // Filter out exclusions
         if (tropeExclusions.some(ex => lowerTag.includes(ex.toLowerCase()))) return false;
-        // Filter out tags that look like character names (contain /)
-        if (tag.includes('/') && !lowerTag.includes('hurt')) return false;
-        return true;
+        return !nonTropeTags.has(lowerTag);
       })
       .sort((a, b) => b[1] - a[1]);
 
@@ -471,7 +591,7 @@ const StatsAnalyzer = (function () {
     // BOOKMARK STATS (for works that came from bookmarks)
     // ==================
 
-    const bookmarkedWorks = works.filter(w => w.source === 'bookmark' || w.isBookmarked);
+    const bookmarkedWorks = works.filter(w => w.source === 'bookmark' || w.isBookmark || w.isBookmarked);
     const historyWorks = works.filter(w => w.source === 'history' || w.visitCount > 0);
 
     stats.bookmarkStats = {
@@ -484,7 +604,7 @@ const StatsAnalyzer = (function () {
 
     // Find works revisited but not bookmarked
     const revisitedNotBookmarked = works.filter(w =>
-      (w.visitCount || 0) >= 2 && !w.isBookmarked && w.source !== 'bookmark'
+      (w.visitCount || 0) >= 2 && !w.isBookmark && !w.isBookmarked && w.source !== 'bookmark'
     ).sort((a, b) => (b.visitCount || 0) - (a.visitCount || 0));
 
     stats.bookmarkStats.secretFavorite = revisitedNotBookmarked[0] || null;
@@ -518,6 +638,197 @@ const StatsAnalyzer = (function () {
       };
     }
 
+    // ==================
+    // BOOKMARKING HABITS (the user's own tags, notes and recs)
+    // ==================
+
+    // Slides are made to be shared, so private bookmarks' tags and notes stay out of them
+    const publicBookmarks = bookmarkedWorks.filter(w => !w.isPrivate);
+    const taggedWorks = publicBookmarks.filter(w => (w.bookmarkTags || []).length > 0);
+    const annotatedWorks = publicBookmarks.filter(w => w.bookmarkNotes);
+    const recCount = bookmarkedWorks.filter(w => w.isRec).length;
+
+    // Compare each personal tag with the author's tags on the same work
+    let matchingTagCount = 0;
+    let personalTagCount = 0;
+    const unmatchedTags = [];
+    taggedWorks.forEach(w => {
+      const authorTags = [
+        ...(w.freeformTags || []), ...(w.relationships || []), ...(w.characters || []), ...(w.fandoms || [])
+      ].map(t => t.toLowerCase());
+      w.bookmarkTags.forEach(tag => {
+        personalTagCount++;
+        if (authorTags.includes(tag.toLowerCase())) {
+          matchingTagCount++;
+        } else {
+          unmatchedTags.push(tag);
+        }
+      });
+    });
+
+    stats.bookmarkHabits = {
+      taggedCount: taggedWorks.length,
+      topPersonalTags: getTopN(countOccurrences(taggedWorks.flatMap(w => w.bookmarkTags)), 10),
+      // Tags only the user uses for these works: their own vocabulary
+      signatureTags: getTopN(countOccurrences(unmatchedTags), 5),
+      // What the authors most often tagged the works the user tagged, to set against their own tags
+      topAuthorTag: getTopN(countOccurrences(taggedWorks.flatMap(w => w.freeformTags || [])), 1)[0] || null,
+      tagMatchPercent: personalTagCount > 0 ? Math.round((matchingTagCount / personalTagCount) * 100) : 0,
+      recCount,
+      recPercent: bookmarkedWorks.length > 0 ? Math.round((recCount / bookmarkedWorks.length) * 100) : 0,
+      privateCount: bookmarkedWorks.filter(w => w.isPrivate).length,
+      annotatedCount: annotatedWorks.length,
+      mostAnnotated: [...annotatedWorks]
+        .sort((a, b) => b.bookmarkNotes.length - a.bookmarkNotes.length)
+        .slice(0, 3)
+        .map(w => ({ ...w, noteWords: w.bookmarkNotes.split(/\s+/).filter(Boolean).length }))
+    };
+
+    // ==================
+    // EXTERNAL WORKS
+    // ==================
+
+    const externalWorks = works.filter(w => w.isExternal);
+    stats.externalStats = {
+      count: externalWorks.length,
+      percent: Math.round((externalWorks.length / stats.totalWorks) * 100),
+      topFandoms: getTopN(countOccurrences(externalWorks.flatMap(w => w.fandoms || [])), 3)
+    };
+
+    // ==================
+    // UNAVAILABLE WORKS (deleted, hidden, locked...)
+    // ==================
+
+    const unavailableWorks = works.filter(w => w.unavailableReason);
+    // History only calls some of them "Deleted work", which leaves nothing to remember them by
+    const goneButNotForgotten = unavailableWorks
+      .filter(w => w.unavailableReason === 'deleted' && w.title && w.title !== 'Deleted work')
+      .sort((a, b) => (b.visitCount || 1) - (a.visitCount || 1));
+
+    stats.unavailableStats = {
+      count: unavailableWorks.length,
+      byReason: Object.fromEntries(countOccurrences(unavailableWorks.map(w => w.unavailableReason))),
+      deletedCount: unavailableWorks.filter(w => w.unavailableReason === 'deleted').length,
+      goneButNotForgotten: goneButNotForgotten.slice(0, 5)
+    };
+
+    // ==================
+    // MARKED FOR LATER (TBR backlog)
+    // ==================
+
+    stats.tbrStats = tbrStats;
+
+    // ==================
+    // SUBSCRIPTIONS (if they were scraped)
+    // ==================
+
+    if (subscriptions) {
+      const subscribedWorks = subscriptions.filter(sub => sub.type === 'work');
+      const subscribedUsers = subscriptions.filter(sub => sub.type === 'user');
+      const readWorkIds = new Set(works.map(w => w.workId));
+
+      // WIPs that have gone quiet for more than a year
+      const abandonedHopes = subscribedWorks
+        .filter(sub => sub.complete === false && toTimestamp(sub.dateUpdated) !== null &&
+          asOf - toTimestamp(sub.dateUpdated) > YEAR_MS)
+        .map(sub => ({ ...sub, daysSinceUpdate: Math.floor((asOf - toTimestamp(sub.dateUpdated)) / DAY_MS) }))
+        .sort((a, b) => b.daysSinceUpdate - a.daysSinceUpdate);
+
+      // Subscribed authors with a work visited during the Wrapped's year
+      const recentWorks = works.filter(w => {
+        const visited = toTimestamp(w.lastVisited);
+        return visited !== null && new Date(visited).getFullYear() === year;
+      });
+      const readAuthors = subscribedUsers
+        .map(user => [user.id, recentWorks.filter(w => (w.authors || []).some(a => isByUser(a, user.id))).length])
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1]);
+
+      stats.subscriptionStats = {
+        total: subscriptions.length,
+        workCount: subscribedWorks.length,
+        seriesCount: subscriptions.filter(sub => sub.type === 'series').length,
+        userCount: subscribedUsers.length,
+        readWorkCount: subscribedWorks.filter(sub => readWorkIds.has(sub.id)).length,
+        waitingCount: subscribedWorks.filter(sub => sub.complete === false).length,
+        abandonedCount: abandonedHopes.length,
+        abandonedHopes: abandonedHopes.slice(0, 5),
+        readAuthors,
+        readAuthorsYear: year
+      };
+    } else {
+      stats.subscriptionStats = null;
+    }
+
+    // ==================
+    // BOOKMARKED SERIES
+    // ==================
+
+    const seriesMap = new Map();
+    works.forEach(w => {
+      if (!w.seriesId) return;
+      if (!seriesMap.has(w.seriesId)) {
+        seriesMap.set(w.seriesId, {
+          seriesId: w.seriesId,
+          title: w.seriesTitle || 'Untitled Series',
+          complete: w.seriesComplete,
+          works: 0,
+          words: 0
+        });
+      }
+      const series = seriesMap.get(w.seriesId);
+      series.works++;
+      series.words += w.wordCount || 0;
+    });
+
+    // Favorite is the series with the most works, then the most words
+    const seriesList = Array.from(seriesMap.values())
+      .sort((a, b) => b.works - a.works || b.words - a.words);
+    seriesList.forEach(series => {
+      series.wordsFormatted = formatNumber(series.words);
+    });
+
+    stats.seriesStats = {
+      totalSeries: seriesList.length,
+      totalSeriesWorks: seriesList.reduce((sum, series) => sum + series.works, 0),
+      completeSeries: seriesList.filter(series => series.complete === true).length,
+      favoriteSeries: seriesList[0] || null,
+      topSeries: seriesList.slice(0, 5)
+    };
+
+    // ==================
+    // READING WITHIN SERIES (from the series each work belongs to)
+    // ==================
+
+    const seriesWorks = works.filter(w => (w.seriesMemberships || []).length > 0);
+    const seriesReadMap = new Map();
+    seriesWorks.forEach(w => {
+      w.seriesMemberships.forEach(membership => {
+        if (!seriesReadMap.has(membership.seriesId)) {
+          seriesReadMap.set(membership.seriesId, {
+            seriesId: membership.seriesId,
+            title: membership.title,
+            worksRead: 0,
+            positions: []
+          });
+        }
+        const series = seriesReadMap.get(membership.seriesId);
+        series.worksRead++;
+        if (membership.position !== null) series.positions.push(membership.position);
+      });
+    });
+
+    const seriesRead = Array.from(seriesReadMap.values()).sort((a, b) => b.worksRead - a.worksRead);
+    stats.seriesReading = {
+      worksInSeries: seriesWorks.length,
+      percent: Math.round((seriesWorks.length / stats.totalWorks) * 100),
+      seriesCount: seriesRead.length,
+      // Series the user read from Part 1, rather than jumping in partway
+      startedAtPartOne: seriesRead.filter(series => series.positions.includes(1)).length,
+      furthestPart: seriesRead.reduce((max, series) => Math.max(max, ...series.positions, 0), 0),
+      topSeries: seriesRead.slice(0, 5)
+    };
+
     // ==================
     // SUMMARY OBJECT FOR EASY ACCESS
     // ==================
@@ -538,9 +849,238 @@ const StatsAnalyzer = (function () {
     return stats;
   }
 
+  /**
+   * Analyzes the user's own works for a creator Wrapped
+   * @param {Object[]} works - The user's works, with stats page numbers merged in
+   * @param {Object} context - Data scraped alongside the works
+   * @param {Object} context.totals - Account totals from the stats page, if it loaded
+   * @param {number} context.year - Year that counts as "this year" (defaults to the year of asOf)
+   * @param {number} context.asOf - When the works were scraped (defaults to now)
+   * @returns {Object} Creator statistics object
+   */
+  function analyzeCreator(works, context = {}) {
+    if (!works || works.length === 0) {
+      return {
+        isEmpty: true,
+        totalWorks: 0
+      };
+    }
+
+    const { totals = null, asOf = Date.now() } = context;
+    const year = context.year || new Date(asOf).getFullYear();
+    const stats = { isCreator: true, year };
+    const sum = (list, field) => list.reduce((total, w) => total + (w[field] || 0), 0);
+
+    // ==================
+    // WORDS WRITTEN
+    // ==================
+
+    stats.totalWorks = works.length;
+    stats.totalWords = sum(works, 'wordCount');
+    stats.totalWordsFormatted = formatNumber(stats.totalWords);
+
+    // AO3 listings only show when a work was last updated, so a work updated this
+    // year counts in full (earlier chapters included)
+    const thisYearsWorks = works.filter(w => {
+      const updated = toTimestamp(w.dateUpdated);
+      return updated !== null && new Date(updated).getFullYear() === year;
+    });
+    stats.worksThisYear = thisYearsWorks.length;
+    stats.wordsThisYear = sum(thisYearsWorks, 'wordCount');
+    stats.wordsThisYearFormatted = formatNumber(stats.wordsThisYear);
+    stats.approximateBooks = wordsToBooks(stats.wordsThisYear);
+
+    stats.completionStats = {
+      complete: works.filter(w => w.complete === true).length,
+      wip: works.filter(w => w.complete === false).length
+    };
+
+    // ==================
+    // FANDOMS WRITTEN IN
+    // ==================
+
+    const fandomCounts = countOccurrences(works.flatMap(w => w.fandoms || []));
+    stats.topFandoms = getTopN(fandomCounts, 10);
+    stats.topFandom = stats.topFandoms[0] || ['Unknown', 0];
+    stats.uniqueFandomCount = fandomCounts.size;
+    stats.topShips = getTopN(countOccurrences(works.flatMap(w => w.relationships || [])), 5);
+
+    // ==================
+    // READER RESPONSE
+    // ==================
+
+    const byKudos = [...works].sort((a, b) => (b.kudos || 0) - (a.kudos || 0));
+    stats.mostKudosedWork = byKudos[0] && byKudos[0].kudos ? byKudos[0] : null;
+
+    const byHits = [...works].sort((a, b) => (b.hits || 0) - (a.hits || 0));
+    stats.mostHitsWork = byHits[0] && byHits[0].hits ? byHits[0] : null;
+
+    // Stats page totals also count deleted works and comments on drafts, so prefer them when present
+    stats.engagement = {
+      hits: totals && totals.hits !== null ? totals.hits : sum(works, 'hits'),
+      kudos: totals && totals.kudos !== null ? totals.kudos : sum(works, 'kudos'),
+      commentThreads: totals && totals.commentThreads !== null ? totals.commentThreads : sum(works, 'commentThreads'),
+      bookmarks: totals && totals.bookmarks !== null ? totals.bookmarks : sum(works, 'bookmarks'),
+      subscriptions: totals && totals.subscriptions !== null ? totals.subscriptions : sum(works, 'subscriptions'),
+      userSubscriptions: totals ? totals.userSubscriptions : null
+    };
+    stats.engagement.kudosPerHundredHits = stats.engagement.hits > 0
+      ? Math.round((stats.engagement.kudos / stats.engagement.hits) * 1000) / 10
+      : 0;
+
+    // ==================
+    // HITS TRENDS (by the year each work was last updated)
+    // ==================
+
+    const yearMap = new Map();
+    works.forEach(w => {
+      const updated = toTimestamp(w.dateUpdated);
+      if (updated === null) return;
+      const workYear = new Date(updated).getFullYear();
+      if (!yearMap.has(workYear)) {
+        yearMap.set(workYear, { year: workYear, works: 0, hits: 0, kudos: 0 });
+      }
+      const entry = yearMap.get(workYear);
+      entry.works++;
+      entry.hits += w.hits || 0;
+      entry.kudos += w.kudos || 0;
+    });
+
+    stats.hitsByYear = Array.from(yearMap.values())
+      .sort((a, b) => a.year - b.year)
+      .map(entry => ({ ...entry, averageHits: Math.round(entry.hits / entry.works) }));
+
+    // Compare the average hits of this year's works with the year before that had any
+    const current = stats.hitsByYear.find(entry => entry.year === year);
+    const previous = stats.hitsByYear.filter(entry => entry.year < year).pop();
+    if (current && previous && previous.averageHits > 0) {
+      const percentChange = Math.round(((current.averageHits - previous.averageHits) / previous.averageHits) * 100);
+      stats.hitsTrend = {
+        direction: percentChange > 5 ? 'up' : percentChange < -5 ? 'down' : 'steady',
+        percentChange,
+        current,
+        previous
+      };
+    } else {
+      stats.hitsTrend = null;
+    }
+
+    stats.isEmpty = false;
+
+    return stats;
+  }
+
+  /**
+   * Lists names present in one count map but not another, most-read first
+   * @param {Map<string, number>} source - Counts to take names from
+   * @param {Map<string, number>} other - Counts to exclude names from
+   * @returns {Array} Array of [name, count] pairs
+   */
+  function getMissingFrom(source, other) {
+    return Array.from(source.entries())
+      .filter(([name]) => !other.has(name))
+      .sort((a, b) => b[1] - a[1]);
+  }
+
+  /**
+   * Compares two reading datasets (for example last year's and this year's)
+   * @param {Object[]} thenWorks - Works from the earlier dataset
+   * @param {Object[]} nowWorks - Works from the later dataset
+   * @param {Object} labels - Display labels for each side
+   * @param {string} labels.then - Label for the earlier dataset (e.g. "2024")
+   * @param {string} labels.now - Label for the later dataset (e.g. "2025")
+   * @returns {Object} Comparison object with both stats and their differences
+   */
+  function compare(thenWorks, nowWorks, labels = {}) {
+    const thenStats = analyze(thenWorks);
+    const nowStats = analyze(nowWorks);
+
+    const comparison = {
+      labels: {
+        then: labels.then || 'Then',
+        now: labels.now || 'Now'
+      },
+      then: thenStats,
+      now: nowStats,
+      isEmpty: thenStats.isEmpty || nowStats.isEmpty
+    };
+
+    if (comparison.isEmpty) {
+      return comparison;
+    }
+
+    // ==================
+    // FANDOMS
+    // ==================
+
+    const thenFandoms = countOccurrences(thenWorks.flatMap(w => w.fandoms || []));
+    const nowFandoms = countOccurrences(nowWorks.flatMap(w => w.fandoms || []));
+
+    comparison.fandoms = {
+      entered: getMissingFrom(nowFandoms, thenFandoms),
+      abandoned: getMissingFrom(thenFandoms, nowFandoms),
+      kept: Array.from(nowFandoms.keys()).filter(f => thenFandoms.has(f)).length,
+      topChanged: thenStats.topFandom[0] !== nowStats.topFandom[0]
+    };
+
+    // ==================
+    // SHIPS
+    // ==================
+
+    const thenShips = countOccurrences(thenWorks.flatMap(w => w.relationships || []));
+    const nowShips = countOccurrences(nowWorks.flatMap(w => w.relationships || []));
+
+    comparison.ships = {
+      then: thenStats.topShip,
+      now: nowStats.topShip,
+      topChanged: thenStats.topShip[0] !== nowStats.topShip[0],
+      newShips: getMissingFrom(nowShips, thenShips),
+      droppedShips: getMissingFrom(thenShips, nowShips)
+    };
+
+    // ==================
+    // WORDS READ
+    // ==================
+
+    const wordsDelta = nowStats.totalWords - thenStats.totalWords;
+    comparison.words = {
+      then: thenStats.totalWords,
+      now: nowStats.totalWords,
+      delta: wordsDelta,
+      deltaFormatted: (wordsDelta > 0 ? '+' : wordsDelta < 0 ? '-' : '') + formatNumber(Math.abs(wordsDelta)),
+      percentChange: thenStats.totalWords > 0
+        ? Math.round((wordsDelta / thenStats.totalWords) * 100)
+        : null,
+      worksDelta: nowStats.totalWorks - thenStats.totalWorks
+    };
+
+    // ==================
+    // SMUT AND MOOD SHIFT
+    // ==================
+
+    comparison.smut = {
+      then: thenStats.smutPercentage,
+      now: nowStats.smutPercentage,
+      delta: nowStats.smutPercentage - thenStats.smutPercentage
+    };
+
+    comparison.mood = {
+      then: thenStats.moodStats,
+      now: nowStats.moodStats,
+      fluffDelta: nowStats.moodStats.fluffPercent - thenStats.moodStats.fluffPercent,
+      preferenceChanged: thenStats.moodStats.preference !== nowStats.moodStats.preference
+    };
+
+    return comparison;
+  }
+
   // Public API
   return {
+    VERSION,
+    WORDS_PER_MINUTE,
     analyze,
+    analyzeCreator,
+    compare,
     formatNumber,
     wordsToBooks
   };
@@ -13,17 +13,32 @@
 
   const state = {
     currentScreen: 'welcome',
+    profiles: [],
+    activeProfileId: null,
     username: null,
     scrapedData: null,
+    subscriptions: null,
+    scrapeOptions: null,
+    scrapedAt: null,
     stats: null,
+    isComparing: false,
+    isCreator: false,
     currentSlide: 0,
     totalSlides: 0,
     isProcessing: false,
     profileStats: null,
+    networkLog: [],
     filters: {
+      mode: 'reader',
       timeRange: 'pages',
       pageLimit: 1,
-      source: 'both'
+      year: new Date().getFullYear(),
+      startDate: '',
+      endDate: '',
+      source: 'both',
+      markedForLater: false,
+      includeSubscriptions: false,
+      deep: false
     }
   };
 
@@ -40,6 +55,20 @@
 
     // Welcome screen
     btnGetStarted: document.getElementById('btn-get-started'),
+    welcomeYear: document.getElementById('welcome-year'),
+    btnOpenWrapped: document.getElementById('btn-open-wrapped'),
+    btnImportDataset: document.getElementById('btn-import-dataset'),
+    btnSavedPages: document.getElementById('btn-saved-pages'),
+    profileSelect: document.getElementById('profile-select'),
+    btnNewProfile: document.getElementById('btn-new-profile'),
+    btnCombinedWrapped: document.getElementById('btn-combined-wrapped'),
+    newProfileForm: document.getElementById('new-profile-form'),
+    newProfileName: document.getElementById('new-profile-name'),
+    btnCreateProfile: document.getElementById('btn-create-profile'),
+    btnCancelProfile: document.getElementById('btn-cancel-profile'),
+    combinedPanel: document.getElementById('combined-panel'),
+    combinedProfiles: document.getElementById('combined-profiles'),
+    btnShowCombined: document.getElementById('btn-show-combined'),
 
     // Login screen
     webview: document.getElementById('ao3-webview'),
@@ -47,26 +76,55 @@
     webviewLoadingMessage: document.getElementById('webview-loading-message'),
     btnCheckLogin: document.getElementById('btn-check-login'),
     btnStartWrapped: document.getElementById('btn-start-wrapped'),
+    btnRefreshWrapped: document.getElementById('btn-refresh-wrapped'),
     btnLogout: document.getElementById('btn-logout'),
+    btnClearCache: document.getElementById('btn-clear-cache'),
     loginStatus: document.getElementById('login-status'),
+    resumeBanner: document.getElementById('resume-banner'),
+    resumeSummary: document.getElementById('resume-summary'),
+    btnResumeWrapped: document.getElementById('btn-resume-wrapped'),
+    btnDiscardCheckpoint: document.getElementById('btn-discard-checkpoint'),
 
     // Filter options
     filterOptions: document.getElementById('filter-options'),
+    modeCreator: document.getElementById('mode-creator'),
+    modeReader: document.getElementById('mode-reader'),
+    readerOptions: document.getElementById('reader-options'),
     timeFilter: document.getElementById('time-filter'),
     timeFilterValue: document.getElementById('time-filter-value'),
     pageLimitContainer: document.getElementById('page-limit-container'),
+    calendarYearContainer: document.getElementById('calendar-year-container'),
+    calendarYear: document.getElementById('calendar-year'),
+    dateRangeContainer: document.getElementById('date-range-container'),
+    startDate: document.getElementById('start-date'),
+    endDate: document.getElementById('end-date'),
     pageLimit: document.getElementById('page-limit'),
     pageLimitValue: document.getElementById('page-limit-value'),
     sourceHistory: document.getElementById('source-history'),
     sourceBookmarks: document.getElementById('source-bookmarks'),
+    sourceToRead: document.getElementById('source-to-read'),
+    sourceSubscriptions: document.getElementById('source-subscriptions'),
+    deepScan: document.getElementById('deep-scan'),
+    quietHoursEnabled: document.getElementById('quiet-hours-enabled'),
+    quietHoursStart: document.getElementById('quiet-hours-start'),
+    quietHoursEnd: document.getElementById('quiet-hours-end'),
+    avoidBusyPeriods: document.getElementById('avoid-busy-periods'),
+    busyPeriods: document.getElementById('busy-periods'),
     profileStats: document.getElementById('profile-stats'),
 
     // Progress screen
     progressBar: document.getElementById('progress-bar'),
     progressPercent: document.getElementById('progress-percent'),
+    progressEta: document.getElementById('progress-eta'),
     progressStatus: document.getElementById('progress-status'),
     progressDetail: document.getElementById('progress-detail'),
     btnCancelScrape: document.getElementById('btn-cancel-scrape'),
+    btnPauseScrape: document.getElementById('btn-pause-scrape'),
+    btnToggleNetwork: document.getElementById('btn-toggle-network'),
+    networkSummary: document.getElementById('network-summary'),
+    networkPanel: document.getElementById('network-panel'),
+    networkLog: document.getElementById('network-log'),
+    btnExportNetworkLog: document.getElementById('btn-export-network-log'),
 
     // Results screen
     slidesContainer: document.getElementById('slides-container'),
@@ -75,9 +133,14 @@
     slideCounter: document.getElementById('slide-counter'),
     btnDownloadSlide: document.getElementById('btn-download-slide'),
     btnDownloadAll: document.getElementById('btn-download-all'),
+    btnSaveWrapped: document.getElementById('btn-save-wrapped'),
+    btnCompareWrapped: document.getElementById('btn-compare-wrapped'),
+    btnExport: document.getElementById('btn-export'),
+    exportOptions: document.getElementById('export-options'),
     btnStartOver: document.getElementById('btn-start-over'),
 
     // Filter elements
+    filterPanel: document.getElementById('filter-panel'),
     btnToggleFilters: document.getElementById('btn-toggle-filters'),
     filterContent: document.getElementById('filter-content'),
     wordCountMin: document.getElementById('word-count-min'),
@@ -151,6 +214,185 @@
     elements.errorModal.classList.add('hidden');
   }
 
+  // ==================
+  // Profiles
+  // ==================
+
+  /**
+   * Fills the profile switcher and the list of profiles a combined Wrapped can draw on
+   */
+  function renderProfiles() {
+    elements.profileSelect.innerHTML = '';
+    elements.combinedProfiles.innerHTML = '';
+
+    state.profiles.forEach(function(profile) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = profile.id === state.activeProfileId;
+      elements.profileSelect.appendChild(option);
+
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = profile.id;
+      checkbox.checked = true;
+      const name = document.createElement('span');
+      name.textContent = profile.name;
+      label.append(checkbox, name);
+      elements.combinedProfiles.appendChild(label);
+    });
+
+    // Combining only makes sense once there's a second profile
+    elements.btnCombinedWrapped.classList.toggle('hidden', state.profiles.length < 2);
+  }
+
+  /**
+   * Points the login window at a profile's session partition. A webview can't change
+   * partition once it has loaded a page, so it is replaced with a fresh one.
+   * @param {string} partition - Session partition
+   */
+  function setWebviewPartition(partition) {
+    const previous = elements.webview;
+    if (!previous || previous.getAttribute('partition') === partition) return;
+
+    const webview = document.createElement('webview');
+    webview.id = previous.id;
+    webview.setAttribute('partition', partition);
+    const wasLoaded = Boolean(previous.src);
+    previous.replaceWith(webview);
+    elements.webview = webview;
+    webviewListenersAttached = false;
+
+    if (wasLoaded) {
+      setupWebviewListeners();
+      webview.src = 'https://archiveofourown.org/users/login';
+    }
+  }
+
+  /**
+   * Loads the profiles and moves the login window to the active profile's session
+   */
+  async function initProfiles() {
+    const result = await window.electronAPI.getProfiles();
+    if (!result.success) return;
+
+    state.profiles = result.profiles;
+    state.activeProfileId = result.activeProfileId;
+    renderProfiles();
+    setWebviewPartition(result.partition);
+  }
+
+  /**
+   * Switches to another profile, forgetting the account and options of the one being left
+   * @param {string} profileId - Profile id
+   */
+  async function switchProfile(profileId) {
+    if (profileId === state.activeProfileId) return;
+
+    const result = await window.electronAPI.switchProfile(profileId);
+    if (!result.success) {
+      showError('Could Not Switch Profile', result.error, null);
+      // Put the switcher back on the profile that is still active
+      renderProfiles();
+      return;
+    }
+
+    state.activeProfileId = result.activeProfileId;
+    state.username = null;
+    state.profileStats = null;
+
+    elements.btnStartWrapped.disabled = true;
+    elements.btnRefreshWrapped.classList.add('hidden');
+    setLoginStatus('', '');
+    hideFilterOptions();
+    hideResumeBanner();
+    setWebviewPartition(result.partition);
+    renderProfiles();
+  }
+
+  /**
+   * Shows or hides the form for naming a new profile
+   * @param {boolean} show - Whether to show it
+   */
+  function toggleNewProfileForm(show) {
+    elements.newProfileForm.classList.toggle('hidden', !show);
+    elements.combinedPanel.classList.add('hidden');
+    if (show) {
+      elements.newProfileName.value = '';
+      elements.newProfileName.focus();
+    }
+  }
+
+  /**
+   * Creates a profile from the form and switches to it
+   */
+  async function createProfile() {
+    const result = await window.electronAPI.createProfile(elements.newProfileName.value);
+    if (!result.success) {
+      showError('Could Not Create Profile', result.error, null);
+      return;
+    }
+
+    state.profiles.push(result.profile);
+    toggleNewProfileForm(false);
+    await switchProfile(result.profile.id);
+  }
+
+  /**
+   * Shows or hides the choice of profiles for a combined Wrapped
+   */
+  function toggleCombinedPanel() {
+    elements.newProfileForm.classList.add('hidden');
+    elements.combinedPanel.classList.toggle('hidden');
+  }
+
+  /**
+   * Shows one Wrapped from the last Wrapped of each chosen profile, counting shared works once
+   */
+  async function showCombinedWrapped() {
+    const profileIds = Array.from(elements.combinedProfiles.querySelectorAll('input:checked'))
+      .map(function(checkbox) { return checkbox.value; });
+    if (profileIds.length < 2) {
+      showError('Choose Profiles', 'Pick at least two profiles to combine.', null);
+      return;
+    }
+
+    const result = await window.electronAPI.getProfileDatasets(profileIds);
+    const datasets = result.success ? result.datasets : [];
+    if (datasets.length === 0) {
+      showError('Nothing to Combine', 'None of these profiles has a Wrapped yet. Make one in each profile first.', null);
+      return;
+    }
+
+    const combined = window.AO3Scraper.combineDatasets(datasets);
+    // The period label only holds if every part was scraped the same way
+    const sameOptions = datasets.every(function(dataset) {
+      return JSON.stringify(dataset.options) === JSON.stringify(datasets[0].options);
+    });
+
+    elements.combinedPanel.classList.add('hidden');
+    showLoadedWrapped(combined.items, {
+      options: sameOptions ? datasets[0].options : null,
+      scrapedAt: combined.scrapedAt,
+      subscriptions: combined.subscriptions
+    });
+
+    const missing = state.profiles.filter(function(profile) {
+      return profileIds.includes(profile.id) &&
+        !datasets.some(function(dataset) { return dataset.profileId === profile.id; });
+    });
+    if (missing.length > 0) {
+      showError(
+        'Combined Wrapped',
+        'Left out ' + missing.map(function(profile) { return profile.name; }).join(', ') + ', which ' +
+          (missing.length === 1 ? 'has' : 'have') + ' no Wrapped yet.',
+        null
+      );
+    }
+  }
+
   // ==================
   // Login Flow
   // ==================
@@ -194,10 +436,15 @@
           elements.btnStartWrapped.disabled = false;
           showFilterOptions();
         }
+
+        updateResumeBanner();
+        updateRefreshButton();
       } else {
         setLoginStatus('Not logged in yet. Please log in above.', 'error');
         elements.btnStartWrapped.disabled = true;
+        elements.btnRefreshWrapped.classList.add('hidden');
         hideFilterOptions();
+        hideResumeBanner();
       }
     } catch (error) {
       setLoginStatus('Error checking login: ' + error.message, 'error');
@@ -221,7 +468,9 @@
 
         // Reset UI
         elements.btnStartWrapped.disabled = true;
+        elements.btnRefreshWrapped.classList.add('hidden');
         hideFilterOptions();
+        hideResumeBanner();
 
         // Reload the webview to show fresh login page
         if (elements.webview) {
@@ -237,6 +486,116 @@
     }
   }
 
+  /**
+   * Shows the resume banner if there is an unfinished scrape for this account
+   */
+  async function updateResumeBanner() {
+    if (!elements.resumeBanner) return;
+
+    const checkpoint = await window.AO3Scraper.getResumableCheckpoint(state.username);
+    if (!checkpoint) {
+      hideResumeBanner();
+      return;
+    }
+
+    const progress = window.AO3Scraper.describeCheckpoint(checkpoint);
+    const savedAt = new Date(checkpoint.updatedAt).toLocaleString();
+    let summary = 'You have an unfinished Wrapped from ' + savedAt + ': ';
+    if (progress.total !== null) {
+      summary += progress.processed + ' of ' + progress.total + ' works analyzed.';
+    } else {
+      summary += progress.collected + ' works collected so far.';
+    }
+
+    elements.resumeSummary.textContent = summary;
+    elements.resumeBanner.classList.remove('hidden');
+  }
+
+  /**
+   * Hides the resume banner
+   */
+  function hideResumeBanner() {
+    if (elements.resumeBanner) {
+      elements.resumeBanner.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Throws away the saved progress of an unfinished scrape
+   */
+  async function discardCheckpoint() {
+    await window.AO3Scraper.clearCheckpoint();
+    hideResumeBanner();
+  }
+
+  /**
+   * Shows the Refresh button if this account has a stored dataset to refresh
+   */
+  async function updateRefreshButton() {
+    if (!elements.btnRefreshWrapped) return;
+
+    const result = await window.electronAPI.getStoredDataset(state.username);
+    if (result.success && result.dataset) {
+      const scrapedAt = new Date(result.dataset.scrapedAt).toLocaleDateString();
+      elements.btnRefreshWrapped.title = 'Only fetch what is new since ' + scrapedAt;
+      elements.btnRefreshWrapped.classList.remove('hidden');
+    } else {
+      elements.btnRefreshWrapped.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Stores the scraped items so the next run can be an incremental refresh
+   * @param {Object[]} items - Scraped works
+   * @param {Object} options - Options they were scraped with
+   * @param {Object[]|null} subscriptions - Subscriptions scraped with them, if any
+   */
+  async function storeDataset(items, options, subscriptions) {
+    if (!state.username) return;
+
+    try {
+      await window.electronAPI.saveStoredDataset({
+        version: 1,
+        username: state.username,
+        scrapedAt: Date.now(),
+        options: {
+          source: options.source,
+          markedForLater: options.markedForLater,
+          includeSubscriptions: options.includeSubscriptions,
+          timeRange: options.timeRange,
+          pageLimit: options.pageLimit,
+          year: options.year,
+          startDate: options.startDate,
+          endDate: options.endDate,
+          deep: options.deep
+        },
+        items: items,
+        subscriptions: subscriptions
+      });
+    } catch (error) {
+      console.error('Failed to store dataset:', error);
+    }
+  }
+
+  /**
+   * Deletes the locally cached work metadata and stored datasets
+   */
+  async function handleClearCache() {
+    try {
+      const cacheResult = await window.electronAPI.clearWorkCache();
+      const datasetResult = await window.electronAPI.clearStoredDatasets();
+
+      if (cacheResult.success && datasetResult.success) {
+        setLoginStatus('Saved data cleared. The next run will fetch everything again.', 'success');
+        updateRefreshButton();
+      } else {
+        setLoginStatus('Error clearing saved data: ' + (cacheResult.error || datasetResult.error || 'Unknown error'), 'error');
+      }
+    } catch (error) {
+      setLoginStatus('Error clearing saved data: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Shows the filter options panel
    */
@@ -280,81 +639,130 @@
     }
   }
 
+  // The request queue's usual gap between AO3 requests, before any backoff
+  const BASE_REQUEST_DELAY_MS = 5000;
+
+  /**
+   * Works out how many requests a scrape with the chosen options would make, and how long
+   * they'd take at the queue's current pace
+   * @param {Object} stats - Listing estimates and rate limit from the main process
+   * @returns {{history: Object|null, bookmarks: Object|null, toRead: Object|null, requests: number,
+   *   workFetches: number, seconds: number, upperBound: boolean}} Listings that will be scraped,
+   *   with pages and works cut to the page limit
+   */
+  function estimateScrape(stats) {
+    const timeFilterValue = elements.timeFilter ? parseInt(elements.timeFilter.value, 10) : 1;
+    const timeFilterOptions = ['all', 'year', 'calendar', 'custom', 'pages'];
+    const timeFilter = timeFilterOptions[timeFilterValue] || 'year';
+    const pageLimit = elements.pageLimit ? parseInt(elements.pageLimit.value, 10) : 10;
+    const deepScan = elements.deepScan ? elements.deepScan.checked : false;
+
+    /**
+     * Cuts a listing to the pages that will actually be fetched
+     * @param {Object|null} listing - Listing estimate
+     * @param {boolean} checked - Whether its source is chosen
+     * @returns {Object|null}
+     */
+    function limit(listing, checked) {
+      if (!listing || !checked) return null;
+      const pages = timeFilter === 'pages' ? Math.min(listing.pages, pageLimit) : listing.pages;
+      const share = listing.pages > 0 ? pages / listing.pages : 0;
+      return {
+        pages,
+        works: Math.round(listing.works * share),
+        cached: Math.round(listing.cached * share),
+        workFetches: Math.round((deepScan ? listing.deepWorkFetches : listing.workFetches) * share),
+        seriesFetches: Math.round(listing.seriesFetches * share)
+      };
+    }
+
+    const estimate = {
+      history: limit(stats.history, elements.sourceHistory ? elements.sourceHistory.checked : true),
+      bookmarks: limit(stats.bookmarks, elements.sourceBookmarks ? elements.sourceBookmarks.checked : true),
+      toRead: limit(stats.toRead, elements.sourceToRead ? elements.sourceToRead.checked : false),
+      requests: 0,
+      workFetches: 0,
+      seconds: 0,
+      // Date ranges stop at the first page that reaches back past them, which can't be known ahead
+      upperBound: ['year', 'calendar', 'custom'].includes(timeFilter)
+    };
+
+    [estimate.history, estimate.bookmarks, estimate.toRead].forEach(function(listing) {
+      if (!listing) return;
+      // One request reads the page count, then one per page
+      estimate.requests += 1 + listing.pages + listing.workFetches + listing.seriesFetches;
+      estimate.workFetches += listing.workFetches;
+    });
+
+    const rateLimit = stats.rateLimit || { currentDelay: BASE_REQUEST_DELAY_MS / 1000, retryAfter: null, averageResponse: 1 };
+    const secondsPerRequest = Math.max(rateLimit.currentDelay, BASE_REQUEST_DELAY_MS / 1000) + rateLimit.averageResponse;
+    estimate.seconds = estimate.requests > 0
+      ? estimate.requests * secondsPerRequest + (rateLimit.retryAfter || 0)
+      : 0;
+    return estimate;
+  }
+
+  /**
+   * Formats a duration for a time estimate, e.g. "about 25 minutes"
+   * @param {number} seconds - Duration in seconds
+   * @returns {string}
+   */
+  function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 2) return 'about a minute';
+    if (minutes < 60) return 'about ' + minutes + ' minutes';
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return 'about ' + hours + ' hour' + (hours === 1 ? '' : 's') + (rest > 0 ? ' ' + rest + ' min' : '');
+  }
+
   /**
    * Displays profile statistics and time estimates
    */
   function displayProfileStats() {
     if (!elements.profileStats) return;
 
-    // Check if we have valid profile stats
-    if (!state.profileStats || (!state.profileStats.historyPages && !state.profileStats.bookmarkPages)) {
-      elements.profileStats.innerHTML = '<p class="small-text">Profile stats will be calculated once you start scraping.</p>';
+    if (state.filters.mode === 'creator') {
+      elements.profileStats.innerHTML = '<p class="small-text">A creator Wrapped covers the works you\'ve posted. It only needs your works pages and your stats page, so it\'s usually done in a minute or two.</p>';
       return;
     }
 
+    // Check if we have valid profile stats
     const stats = state.profileStats;
-    const timeFilterValue = elements.timeFilter ? parseInt(elements.timeFilter.value, 10) : 1;
-    const timeFilterOptions = ['all', 'year', 'pages'];
-    const timeFilter = timeFilterOptions[timeFilterValue] || 'year';
-    const pageLimit = elements.pageLimit ? parseInt(elements.pageLimit.value, 10) : 10;
-
-    // Get source filter from checkboxes
-    const historyChecked = elements.sourceHistory ? elements.sourceHistory.checked : true;
-    const bookmarksChecked = elements.sourceBookmarks ? elements.sourceBookmarks.checked : true;
-
-    // Calculate estimated pages to scrape based on filters
-    let historyPages = stats.historyPages || 0;
-    let bookmarkPages = stats.bookmarkPages || 0;
-
-    // Apply page limit if custom pages mode
-    if (timeFilter === 'pages') {
-      historyPages = Math.min(historyPages, pageLimit);
-      bookmarkPages = Math.min(bookmarkPages, pageLimit);
+    if (!stats || (!stats.history && !stats.bookmarks)) {
+      elements.profileStats.innerHTML = '<p class="small-text">Profile stats will be calculated once you start scraping.</p>';
+      return;
     }
 
-    let totalPages = 0;
-    if (historyChecked && bookmarksChecked) {
-      totalPages = historyPages + bookmarkPages;
-    } else if (historyChecked) {
-      totalPages = historyPages;
-    } else if (bookmarksChecked) {
-      totalPages = bookmarkPages;
-    }
-
-    // More accurate time estimation
-    // Each page takes ~5 seconds to fetch (rate limited)
-    // Each work detail page takes ~5 seconds to fetch (rate limited)
-    const estimatedWorks = totalPages * 20; // ~20 works per page
-    const pagesFetchTime = totalPages * 5; // 5 seconds per listing page
-    const workDetailTime = estimatedWorks * 5; // 5 seconds per work detail
-    const totalSeconds = pagesFetchTime + workDetailTime;
-    const totalMinutes = Math.ceil(totalSeconds / 60);
-
-    let timeEstimate = '';
-    if (totalPages === 0) {
-      timeEstimate = 'No data to scrape';
-    } else if (totalMinutes < 2) {
-      timeEstimate = 'About 1-2 minutes';
-    } else if (totalMinutes < 60) {
-      timeEstimate = totalMinutes + '-' + Math.ceil(totalMinutes * 1.2) + ' minutes';
-    } else {
-      const hours = Math.floor(totalMinutes / 60);
-      const mins = totalMinutes % 60;
-      timeEstimate = hours + (mins > 30 ? '.5' : '') + '-' + (hours + 1) + ' hour' + (hours > 0 ? 's' : '');
-    }
+    const estimate = estimateScrape(stats);
+    const listings = [
+      { listing: estimate.history, label: 'works from history' },
+      { listing: estimate.bookmarks, label: 'bookmarks' },
+      { listing: estimate.toRead, label: 'works Marked for Later' }
+    ];
 
     let html = '<p class="small-text" style="margin-bottom: 0.75rem;">This app is designed to be as gentle as possible on AO3 and respectful with your data. It rate-limits itself, caches results, and keeps your information entirely on your computer.</p>';
 
-    if (historyChecked) {
-      html += '<p><span class="stat-highlight">~' + (historyPages * 20) + '</span> works from history (' + historyPages + ' pages)</p>';
-    }
-    if (bookmarksChecked) {
-      html += '<p><span class="stat-highlight">~' + (bookmarkPages * 20) + '</span> bookmarks (' + bookmarkPages + ' pages)</p>';
+    listings.forEach(function({ listing, label }) {
+      if (!listing) return;
+      html += '<p><span class="stat-highlight">' + listing.works.toLocaleString() + '</span> ' + label +
+        ' (' + listing.pages + ' page' + (listing.pages === 1 ? '' : 's') + ')' +
+        (listing.cached > 0 ? ', ~' + listing.cached.toLocaleString() + ' already cached' : '') + '</p>';
+    });
+    if (elements.sourceSubscriptions && elements.sourceSubscriptions.checked) {
+      html += '<p class="small-text">Plus your subscriptions, and a work page for each subscribed work you haven\'t read.</p>';
     }
 
-    if (totalPages > 0) {
-      html += '<p><strong>Estimated time:</strong> <span class="stat-highlight">' + timeEstimate + '</span></p>';
-      html += '<p class="small-text">Due to rate limiting, this process takes a while. Thanks for your patience!</p>';
+    if (estimate.requests > 0) {
+      html += '<p><strong>Estimated time:</strong> <span class="stat-highlight">' +
+        (estimate.upperBound ? 'up to ' : '') + formatDuration(estimate.seconds) + '</span></p>';
+      html += '<p class="small-text">About ' + estimate.requests.toLocaleString() + ' requests to AO3, including ' +
+        estimate.workFetches.toLocaleString() + ' work pages the listings and your cache don\'t cover' +
+        (estimate.upperBound ? '. Your time range may stop it sooner.' : '.') + '</p>';
+      if (stats.rateLimit && stats.rateLimit.currentDelay * 1000 > BASE_REQUEST_DELAY_MS) {
+        html += '<p class="small-text">AO3 is busy right now, so this allows ' + stats.rateLimit.currentDelay + ' seconds between requests.</p>';
+      }
     } else {
       html += '<p class="small-text">Please select at least one data source.</p>';
     }
@@ -369,20 +777,77 @@
     if (!elements.timeFilter || !elements.timeFilterValue) return;
 
     const value = parseInt(elements.timeFilter.value, 10);
-    const labels = ['All time', 'Last 12 months', 'Custom pages'];
-    const filterValues = ['all', 'year', 'pages'];
+    const labels = ['All time', 'Last 12 months', 'Calendar year', 'Date range', 'Custom pages'];
+    const filterValues = ['all', 'year', 'calendar', 'custom', 'pages'];
 
     elements.timeFilterValue.textContent = labels[value] || labels[1];
     state.filters.timeRange = filterValues[value] || 'year';
 
-    // Show/hide page limit slider
+    // Show only the controls for the chosen time range
     if (elements.pageLimitContainer) {
-      if (state.filters.timeRange === 'pages') {
-        elements.pageLimitContainer.classList.remove('hidden');
-      } else {
-        elements.pageLimitContainer.classList.add('hidden');
+      elements.pageLimitContainer.classList.toggle('hidden', state.filters.timeRange !== 'pages');
+    }
+    if (elements.calendarYearContainer) {
+      elements.calendarYearContainer.classList.toggle('hidden', state.filters.timeRange !== 'calendar');
+    }
+    if (elements.dateRangeContainer) {
+      elements.dateRangeContainer.classList.toggle('hidden', state.filters.timeRange !== 'custom');
+    }
+
+    if (elements.calendarYear && elements.calendarYear.value) {
+      state.filters.year = parseInt(elements.calendarYear.value, 10);
+    }
+    state.filters.startDate = elements.startDate ? elements.startDate.value : '';
+    state.filters.endDate = elements.endDate ? elements.endDate.value : '';
+  }
+
+  /**
+   * Fills the calendar year picker with every year AO3 has existed, newest first
+   */
+  function populateYearOptions() {
+    if (!elements.calendarYear) return;
+
+    const currentYear = new Date().getFullYear();
+    for (let year = currentYear; year >= 2008; year--) {
+      const option = document.createElement('option');
+      option.value = year;
+      option.textContent = year;
+      elements.calendarYear.appendChild(option);
+    }
+    elements.calendarYear.value = state.filters.year;
+  }
+
+  /**
+   * Describes the period a set of scrape options covers, for slide text and filenames
+   * @param {Object|null} options - Scrape options
+   * @returns {string|null} Year (or span of years) for calendar and date ranges, otherwise null
+   */
+  function getPeriodLabel(options) {
+    if (!options) return null;
+
+    if (options.timeRange === 'calendar' && options.year) {
+      return String(options.year);
+    }
+
+    if (options.timeRange === 'custom') {
+      const startYear = options.startDate ? options.startDate.slice(0, 4) : null;
+      const endYear = options.endDate ? options.endDate.slice(0, 4) : null;
+      if (startYear && endYear && startYear !== endYear) {
+        return startYear + '–' + endYear;
       }
+      return startYear || endYear;
     }
+
+    return null;
+  }
+
+  /**
+   * Gets the year label used in image filenames and watermarks
+   * @returns {string}
+   */
+  function getWrappedYear() {
+    return getPeriodLabel(state.scrapeOptions) ||
+      String(new Date(state.scrapedAt || Date.now()).getFullYear());
   }
 
   /**
@@ -400,6 +865,12 @@
    * Updates filters from UI and recalculates estimates
    */
   function updateFilters() {
+    // Reading and creator Wrappeds have different options
+    state.filters.mode = elements.modeCreator && elements.modeCreator.checked ? 'creator' : 'reader';
+    if (elements.readerOptions) {
+      elements.readerOptions.classList.toggle('hidden', state.filters.mode === 'creator');
+    }
+
     // Update time filter
     updateTimeFilterDisplay();
 
@@ -409,6 +880,9 @@
     // Update source filter based on checkboxes
     const historyChecked = elements.sourceHistory ? elements.sourceHistory.checked : true;
     const bookmarksChecked = elements.sourceBookmarks ? elements.sourceBookmarks.checked : true;
+    const toReadChecked = elements.sourceToRead ? elements.sourceToRead.checked : false;
+    state.filters.markedForLater = toReadChecked;
+    state.filters.includeSubscriptions = elements.sourceSubscriptions ? elements.sourceSubscriptions.checked : false;
 
     if (historyChecked && bookmarksChecked) {
       state.filters.source = 'both';
@@ -416,6 +890,9 @@
       state.filters.source = 'history';
     } else if (bookmarksChecked) {
       state.filters.source = 'bookmarks';
+    } else if (toReadChecked) {
+      // Only the Marked for Later list
+      state.filters.source = 'none';
     } else {
       // If nothing is checked, default to both and re-check them
       state.filters.source = 'both';
@@ -423,6 +900,8 @@
       if (elements.sourceBookmarks) elements.sourceBookmarks.checked = true;
     }
 
+    state.filters.deep = elements.deepScan ? elements.deepScan.checked : false;
+
     // Recalculate time estimates
     displayProfileStats();
   }
@@ -571,132 +1050,591 @@
   }
 
   /**
-   * Starts the scraping process
+   * Shows how long the scrape has left, as worked out by the main process from its pace so far
+   * @param {number|null} seconds - Seconds left, or null while paused or too early to tell
    */
-  async function startScraping() {
-    if (state.isProcessing) return;
-
-    state.isProcessing = true;
-    showScreen('progress');
-
-    updateProgress({
-      percent: 0,
-      message: 'Starting...',
-      detail: ''
-    });
-
-    try {
-      // If we don't have a username, try to get it
-      if (!state.username) {
-        const usernameResult = await window.electronAPI.getUsername();
-        if (usernameResult.success) {
-          state.username = usernameResult.username;
-        } else {
-          throw new Error('Could not determine your AO3 username. Please try logging in again.');
-        }
-      }
-
-      // Pass filters to scraper
-      const options = {
-        timeRange: state.filters.timeRange,
-        pageLimit: state.filters.pageLimit,
-        source: state.filters.source
-      };
-
-      // Set up rate limit callback to notify user when AO3 is stressed
-      window.AO3Scraper.setRateLimitCallback(function(info) {
-        elements.progressDetail.textContent = info.message + ' (waiting ' + info.currentDelay + 's between requests)';
-      });
-
-      // Reset rate limit state from any previous run
-      window.AO3Scraper.resetRateLimit();
+  function updateEta(seconds) {
+    elements.progressEta.textContent = seconds === null || seconds === undefined
+      ? ''
+      : seconds < 60 ? 'Less than a minute left' : formatDuration(seconds).replace(/^about/, 'About') + ' left';
+  }
 
-      // Start scraping
-      const result = await window.AO3Scraper.scrapeAll(state.username, updateProgress, options);
+  /**
+   * Starts a new scrape using the current options
+   */
+  function startScraping() {
+    if (state.filters.mode === 'creator') {
+      return runCreatorScraping();
+    }
 
-      if (!result.success) {
-        if (result.cancelled) {
-          showScreen('login');
-          state.isProcessing = false;
-          return;
-        }
-        throw new Error(result.error || 'Scraping failed');
+    const { timeRange, startDate, endDate } = state.filters;
+    if (timeRange === 'custom') {
+      if (!startDate && !endDate) {
+        showError('Choose Your Dates', 'Pick a start date, an end date, or both for your date range.', null);
+        return;
       }
-
-      if (result.items.length === 0) {
-        showError(
-          'No Reading History',
-          'We couldn\'t find any reading history for your account. Go read some fics and come back!',
-          null
-        );
-        showScreen('login');
-        state.isProcessing = false;
+      if (startDate && endDate && startDate > endDate) {
+        showError('Choose Your Dates', 'The start date needs to be on or before the end date.', null);
         return;
       }
+    }
 
-      state.scrapedData = result.items;
-
-      // Analyze the data
-      updateProgress({
-        percent: 95,
-        message: 'Calculating your stats...',
-        detail: ''
-      });
-
-      state.stats = window.StatsAnalyzer.analyze(result.items);
-
-      // Generate visualization
-      updateProgress({
-        percent: 98,
-        message: 'Creating your Wrapped...',
-        detail: ''
-      });
-
-      const slides = window.Visualizer.generateSlides(state.stats);
-      state.totalSlides = slides.length;
-      state.currentSlide = 0;
+    return runScraping({});
+  }
 
-      window.Visualizer.renderSlides(slides, elements.slidesContainer);
+  /**
+   * Continues the saved unfinished scrape, or starts a new one if there is none
+   */
+  async function resumeScraping() {
+    const checkpoint = await window.AO3Scraper.getResumableCheckpoint(state.username);
+    return runScraping({ resumeFrom: checkpoint });
+  }
 
-      // Show results
-      updateProgress({
-        percent: 100,
-        message: 'Done!',
-        detail: ''
-      });
+  /**
+   * Fetches only what is new since the stored dataset and merges it in
+   */
+  async function refreshScraping() {
+    const result = await window.electronAPI.getStoredDataset(state.username);
+    if (!result.success || !result.dataset) {
+      showError('Nothing to Refresh', 'There is no previous Wrapped for this account yet. Start a full one instead.', null);
+      return;
+    }
+    return runScraping({ refreshFrom: result.dataset });
+  }
 
-      setTimeout(function() {
-        showScreen('results');
-        updateSlideNavigation();
-        updateSliderValues(); // Initialize slider display values
-        state.isProcessing = false;
-      }, 500);
+  /**
+   * Looks up the logged-in username if we don't have it yet
+   * @throws {Error} If the username can't be determined
+   */
+  async function ensureUsername() {
+    if (state.username) return;
 
-    } catch (error) {
-      console.error('Scraping error:', error);
-      showError(
-        'Scraping Failed',
-        error.message || 'An unexpected error occurred. Please try again.',
-        startScraping
-      );
-      showScreen('login');
-      state.isProcessing = false;
+    const usernameResult = await window.electronAPI.getUsername();
+    if (usernameResult.success) {
+      state.username = usernameResult.username;
+    } else {
+      throw new Error('Could not determine your AO3 username. Please try logging in again.');
     }
   }
 
   /**
-   * Cancels the current scraping operation
+   * Reports AO3 slowdowns on the progress screen
    */
-  function cancelScraping() {
-    window.AO3Scraper.requestCancel();
-    showScreen('login');
-    state.isProcessing = false;
+  function prepareScraper() {
+    // Set up rate limit callback to notify user when AO3 is stressed
+    window.AO3Scraper.setRateLimitCallback(function(info) {
+      elements.progressDetail.textContent = info.message + (info.retryAfter
+        ? ' (AO3 asked us to wait ' + info.retryAfter + 's, then ' + info.currentDelay + 's between requests)'
+        : ' (waiting ' + info.currentDelay + 's between requests)');
+    });
+  }
+
+  // Resolves the promise from runScrapeJob once the main process reports the job finished
+  let scrapeJobWaiter = null;
+
+  /**
+   * Shows progress and pauses from the scrape job, and hands over its result when it finishes
+   * @param {Object} job - Job state from the main process
+   */
+  function handleScrapeJobUpdate(job) {
+    if (job.status === 'running' || job.status === 'paused' || job.status === 'waiting') {
+      if (job.progress) {
+        updateProgress(job.progress);
+      }
+      updateEta(job.eta);
+      setPausedDisplay(job.status === 'paused', job.status === 'waiting' ? job.scheduleHold : null);
+      return;
+    }
+
+    if (scrapeJobWaiter) {
+      const resolve = scrapeJobWaiter;
+      scrapeJobWaiter = null;
+      resolve(job);
+    }
+  }
+
+  /**
+   * Waits for the scrape job to finish
+   * @returns {Promise<Object>} The finished job, with its result
+   */
+  function waitForScrapeJob() {
+    return new Promise(function(resolve) {
+      scrapeJobWaiter = resolve;
+    });
+  }
+
+  /**
+   * Starts a scrape job in the main process and waits for it to finish
+   * @param {Object} request - What to scrape (see electronAPI.startScrapeJob)
+   * @returns {Promise<Object>} The finished job, with its result
+   */
+  async function runScrapeJob(request) {
+    const finished = waitForScrapeJob();
+    const started = await window.electronAPI.startScrapeJob(request);
+    if (!started.success) {
+      scrapeJobWaiter = null;
+      throw new Error(started.error || 'The scrape could not be started.');
+    }
+    return finished;
+  }
+
+  /**
+   * Shows the Wrapped for a finished scrape job
+   * @param {Object} job - Finished job from the main process
+   * @throws {Error} If the scrape failed
+   */
+  async function showScrapeJobResult(job) {
+    const result = job.result;
+    window.electronAPI.dismissScrapeJob();
+
+    if (!result.success) {
+      if (result.cancelled) {
+        showScreen('login');
+        state.isProcessing = false;
+        if (job.kind !== 'creator') {
+          updateResumeBanner();
+        }
+        return;
+      }
+      throw new Error(result.error || 'Scraping failed');
+    }
+
+    if (job.kind === 'creator') {
+      return showCreatorResult(result);
+    }
+
+    if (result.items.length === 0) {
+      showError(
+        'No Reading History',
+        'We couldn\'t find any reading history for your account. Go read some fics and come back!',
+        null
+      );
+      showScreen('login');
+      state.isProcessing = false;
+      return;
+    }
+
+    state.scrapedData = result.items;
+    state.subscriptions = result.subscriptions || null;
+    state.scrapeOptions = job.options;
+    state.scrapedAt = Date.now();
+    await storeDataset(result.items, job.options, state.subscriptions);
+
+    // Analyze the data and generate visualization
+    updateProgress({
+      percent: 95,
+      message: 'Calculating your stats...',
+      detail: ''
+    });
+
+    renderWrapped(result.items);
+
+    // Show results
+    updateProgress({
+      percent: 100,
+      message: 'Done!',
+      detail: ''
+    });
+
+    setTimeout(function() {
+      showScreen('results');
+      updateSlideNavigation();
+      updateSliderValues(); // Initialize slider display values
+      state.isProcessing = false;
+
+      const unavailableReport = describeUnavailableWorks(result.items);
+      if (job.kind === 'refresh') {
+        showError(
+          'Refresh Complete',
+          'Found ' + result.newCount + ' new and ' + result.changedCount + ' changed works since your last Wrapped.' +
+            (unavailableReport ? ' ' + unavailableReport : ''),
+          null
+        );
+      } else if (unavailableReport) {
+        showError('Some Works Were Unavailable', unavailableReport, null);
+      }
+    }, 500);
+  }
+
+  /**
+   * Shows the creator Wrapped for a finished creator scrape
+   * @param {Object} result - Result of the creator scrape job
+   */
+  function showCreatorResult(result) {
+    if (result.works.length === 0) {
+      showError(
+        'No Works Found',
+        'We couldn\'t find any works posted by your account. Post something and come back!',
+        null
+      );
+      showScreen('login');
+      state.isProcessing = false;
+      return;
+    }
+
+    state.scrapedAt = Date.now();
+    state.scrapeOptions = null;
+    renderCreatorWrapped(result.works, result.totals);
+
+    updateProgress({
+      percent: 100,
+      message: 'Done!',
+      detail: ''
+    });
+
+    setTimeout(function() {
+      showScreen('results');
+      updateSlideNavigation();
+      state.isProcessing = false;
+    }, 500);
+  }
+
+  /**
+   * Reports a failed scrape and goes back to the login screen
+   * @param {Error} error - What went wrong
+   * @param {string} kind - Job kind ('scrape', 'refresh' or 'creator')
+   */
+  function showScrapeFailure(error, kind) {
+    console.error('Scraping error:', error);
+    // Reader scrapes are checkpointed, so retrying picks up where this run stopped
+    showError(
+      'Scraping Failed',
+      error.message || 'An unexpected error occurred. Please try again.',
+      kind === 'creator' ? runCreatorScraping : resumeScraping
+    );
+    showScreen('login');
+    state.isProcessing = false;
+    if (kind !== 'creator') {
+      updateResumeBanner();
+    }
+  }
+
+  /**
+   * Runs the scraping process
+   * @param {Object} mode - How to scrape
+   * @param {Object} mode.resumeFrom - Checkpoint to continue from
+   * @param {Object} mode.refreshFrom - Stored dataset to refresh incrementally
+   */
+  async function runScraping(mode) {
+    if (state.isProcessing) return;
+
+    const { resumeFrom = null, refreshFrom = null } = mode;
+    const kind = refreshFrom ? 'refresh' : 'scrape';
+
+    state.isProcessing = true;
+    showScreen('progress');
+    setPausedDisplay(false);
+    updateEta(null);
+
+    updateProgress({
+      percent: 0,
+      message: 'Starting...',
+      detail: ''
+    });
+
+    try {
+      await ensureUsername();
+
+      // Pass filters to scraper
+      const options = {
+        timeRange: state.filters.timeRange,
+        pageLimit: state.filters.pageLimit,
+        year: state.filters.year,
+        startDate: state.filters.startDate,
+        endDate: state.filters.endDate,
+        source: state.filters.source,
+        markedForLater: state.filters.markedForLater,
+        includeSubscriptions: state.filters.includeSubscriptions,
+        deep: state.filters.deep,
+        resumeFrom: resumeFrom
+      };
+
+      prepareScraper();
+
+      // Start scraping
+      hideResumeBanner();
+      // A fresh scrape's ETA counts down from the options screen's estimate, when it's a firm one
+      const estimate = !resumeFrom && state.profileStats ? estimateScrape(state.profileStats) : null;
+      const estimatedRequests = estimate && !estimate.upperBound ? estimate.requests : null;
+
+      const job = await runScrapeJob(refreshFrom
+        ? { kind, username: state.username, options: refreshFrom.options, previousItems: refreshFrom.items }
+        : { kind, username: state.username, options, estimatedRequests });
+
+      await showScrapeJobResult(job);
+
+    } catch (error) {
+      showScrapeFailure(error, kind);
+    }
+  }
+
+  /**
+   * Scrapes the user's own works and shows their creator Wrapped
+   */
+  async function runCreatorScraping() {
+    if (state.isProcessing) return;
+
+    state.isProcessing = true;
+    showScreen('progress');
+    setPausedDisplay(false);
+    updateEta(null);
+
+    updateProgress({
+      percent: 0,
+      message: 'Starting...',
+      detail: ''
+    });
+
+    try {
+      await ensureUsername();
+      prepareScraper();
+
+      const job = await runScrapeJob({ kind: 'creator', username: state.username });
+      await showScrapeJobResult(job);
+
+    } catch (error) {
+      showScrapeFailure(error, 'creator');
+    }
+  }
+
+  /**
+   * Picks up a scrape job that was running (or finished) before the window was reloaded
+   */
+  async function reattachScrapeJob() {
+    const finished = waitForScrapeJob();
+    const current = await window.electronAPI.getScrapeJob();
+    const job = current.success ? current.job : null;
+    if (!job) {
+      scrapeJobWaiter = null;
+      return;
+    }
+
+    state.username = job.username;
+    state.isProcessing = true;
+    showScreen('progress');
+    prepareScraper();
+
+    try {
+      if (job.result) {
+        scrapeJobWaiter = null;
+        await showScrapeJobResult(job);
+      } else {
+        handleScrapeJobUpdate(job);
+        await showScrapeJobResult(await finished);
+      }
+    } catch (error) {
+      showScrapeFailure(error, job.kind);
+    }
+  }
+
+  /**
+   * Shows whether the scrape is paused, or waiting for its schedule, on the progress screen
+   * @param {boolean} paused - Whether the user paused the scrape
+   * @param {Object|null} [scheduleHold] - Why and until when the schedule holds the scrape
+   */
+  function setPausedDisplay(paused, scheduleHold) {
+    elements.btnPauseScrape.textContent = paused ? 'Resume' : 'Pause';
+    elements.btnPauseScrape.dataset.paused = paused ? 'true' : 'false';
+    if (paused) {
+      elements.progressDetail.textContent = 'Paused - nothing more is sent to AO3 until you resume.';
+    } else if (scheduleHold) {
+      const until = scheduleHold.until
+        ? new Date(scheduleHold.until).toLocaleString(undefined, {
+          weekday: 'short', hour: 'numeric', minute: '2-digit'
+        })
+        : 'later';
+      elements.progressDetail.textContent = scheduleHold.reason + ' - waiting until ' + until + ' to carry on.';
+    }
+  }
+
+  /**
+   * Pauses or resumes the current scrape
+   */
+  async function togglePauseScraping() {
+    const paused = elements.btnPauseScrape.dataset.paused === 'true';
+    const result = paused
+      ? await window.electronAPI.resumeScrapeJob()
+      : await window.electronAPI.pauseScrapeJob();
+    if (!result.success) {
+      console.error('Pause/resume failed:', result.error);
+    }
+  }
+
+  /**
+   * Cancels the current scraping operation
+   */
+  function cancelScraping() {
+    // The job finishes as cancelled, which takes us back to the login screen
+    window.electronAPI.cancelScrapeJob();
+    elements.progressDetail.textContent = 'Cancelling...';
+  }
+
+  // ==================
+  // Scraping Schedule
+  // ==================
+
+  // One busy period per line: "YYYY-MM-DD HH:MM[ - [YYYY-MM-DD ]HH:MM][ label]"
+  const BUSY_PERIOD_PATTERN = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}:\d{2})(?:\s*-\s*(?:(\d{4}-\d{2}-\d{2})[ T])?(\d{1,2}:\d{2}))?\s*(.*)$/;
+
+  /**
+   * Pads an 'H:MM' time to 'HH:MM'
+   * @param {string} time - Time of day
+   * @returns {string}
+   */
+  function padTime(time) {
+    return time.length === 4 ? '0' + time : time;
+  }
+
+  /**
+   * Parses the busy periods textarea
+   * @param {string} text - One period per line
+   * @returns {{periods: Array<{start: string, end: string|null, label: string}>, invalid: string[]}}
+   */
+  function parseBusyPeriods(text) {
+    const periods = [];
+    const invalid = [];
+    text.split('\n').map(function(line) { return line.trim(); }).filter(Boolean).forEach(function(line) {
+      const match = line.match(BUSY_PERIOD_PATTERN);
+      if (!match) {
+        invalid.push(line);
+        return;
+      }
+      const [, startDate, startTime, endDate, endTime, label] = match;
+      const start = startDate + 'T' + padTime(startTime);
+      // An end time without a date is on the start day
+      const end = endTime ? (endDate || startDate) + 'T' + padTime(endTime) : null;
+      if (end && end <= start) {
+        invalid.push(line);
+        return;
+      }
+      periods.push({ start, end, label: label.trim() });
+    });
+    return { periods, invalid };
+  }
+
+  /**
+   * Formats busy periods back into textarea lines
+   * @param {Array<Object>} periods - Saved busy periods
+   * @returns {string}
+   */
+  function formatBusyPeriods(periods) {
+    return periods.map(function(period) {
+      let line = period.start.replace('T', ' ');
+      if (period.end) {
+        line += ' - ' + (period.end.slice(0, 10) === period.start.slice(0, 10)
+          ? period.end.slice(11)
+          : period.end.replace('T', ' '));
+      }
+      return period.label ? line + ' ' + period.label : line;
+    }).join('\n');
+  }
+
+  /**
+   * Saves the schedule from the options form; a running scrape follows it straight away.
+   * Busy period lines that can't be read are left out, and only reported when the
+   * busy periods themselves were edited, so they don't hold up the quiet hours.
+   * @param {Event} event - Change event from one of the schedule inputs
+   */
+  async function saveScrapeSchedule(event) {
+    const { periods, invalid } = parseBusyPeriods(elements.busyPeriods.value);
+    if (invalid.length > 0 && event.target === elements.busyPeriods) {
+      showError('Check Your Busy Periods', 'These lines could not be read and were left out: ' + invalid.join('; ') +
+        '. Use one period per line, like "2025-03-14 18:00 - 23:00 Maintenance".');
+    }
+
+    const result = await window.electronAPI.saveScrapeSchedule({
+      quietHours: {
+        enabled: elements.quietHoursEnabled.checked,
+        start: elements.quietHoursStart.value || '02:00',
+        end: elements.quietHoursEnd.value || '07:00'
+      },
+      avoidBusyPeriods: elements.avoidBusyPeriods.checked,
+      busyPeriods: periods
+    });
+    if (!result.success) {
+      showError('Schedule Not Saved', 'Could not save the scraping schedule: ' + result.error);
+    }
+  }
+
+  /**
+   * Fills the options form with the saved schedule
+   */
+  async function loadScrapeSchedule() {
+    const result = await window.electronAPI.getScrapeSchedule();
+    if (!result.success) return;
+
+    const schedule = result.schedule;
+    elements.quietHoursEnabled.checked = schedule.quietHours.enabled;
+    elements.quietHoursStart.value = schedule.quietHours.start;
+    elements.quietHoursEnd.value = schedule.quietHours.end;
+    elements.avoidBusyPeriods.checked = schedule.avoidBusyPeriods;
+    elements.busyPeriods.value = formatBusyPeriods(schedule.busyPeriods);
   }
 
   // ==================
   // Results/Slides
   // ==================
 
+  /**
+   * Analyzes works and renders their slides into the results screen
+   * @param {Object[]} works - Works to analyze
+   */
+  function renderWrapped(works) {
+    state.stats = window.StatsAnalyzer.analyze(works, {
+      subscriptions: state.subscriptions,
+      asOf: state.scrapedAt || Date.now(),
+      // The year the deck is labelled with; the latest one for a span of years
+      year: parseInt(getWrappedYear().slice(-4), 10)
+    });
+
+    const slides = window.Visualizer.generateSlides(state.stats, {
+      periodLabel: getPeriodLabel(state.scrapeOptions)
+    });
+    state.totalSlides = slides.length;
+    state.currentSlide = 0;
+
+    window.Visualizer.renderSlides(slides, elements.slidesContainer);
+    setComparing(false);
+    setCreatorResults(false);
+  }
+
+  /**
+   * Analyzes the user's own works and renders the creator slide deck
+   * @param {Object[]} works - The user's works
+   * @param {Object|null} totals - Account totals from the stats page
+   */
+  function renderCreatorWrapped(works, totals) {
+    // Reading-only features (filters, snapshots, comparisons) work from scrapedData
+    state.scrapedData = null;
+    state.subscriptions = null;
+    state.stats = window.StatsAnalyzer.analyzeCreator(works, {
+      totals,
+      asOf: state.scrapedAt || Date.now()
+    });
+
+    const slides = window.Visualizer.generateCreatorSlides(state.stats);
+    state.totalSlides = slides.length;
+    state.currentSlide = 0;
+
+    window.Visualizer.renderSlides(slides, elements.slidesContainer);
+    setComparing(false);
+    setCreatorResults(true);
+  }
+
+  /**
+   * Shows or hides the results controls that only apply to a reading Wrapped
+   * @param {boolean} isCreator - Whether a creator Wrapped is showing
+   */
+  function setCreatorResults(isCreator) {
+    state.isCreator = isCreator;
+    [elements.filterPanel, elements.btnSaveWrapped, elements.btnCompareWrapped].forEach(function(element) {
+      if (element) element.classList.toggle('hidden', isCreator);
+    });
+    elements.exportOptions.querySelectorAll('[data-export^="works-"]').forEach(function(btn) {
+      btn.classList.toggle('hidden', isCreator);
+    });
+  }
+
   /**
    * Updates the slide navigation UI
    */
@@ -782,7 +1720,7 @@
       elements.btnDownloadSlide.textContent = 'Capturing...';
 
       const dataUrl = await captureSlideAsDisplayed(currentSlideEl);
-      const filename = 'smut-wrapped-2025-slide-' + (state.currentSlide + 1) + '.png';
+      const filename = 'smut-wrapped-' + getWrappedYear() + '-slide-' + (state.currentSlide + 1) + '.png';
 
       elements.btnDownloadSlide.textContent = 'Saving...';
 
@@ -939,7 +1877,7 @@
     ctx.textAlign = 'center';
     ctx.font = '24px -apple-system, BlinkMacSystemFont, sans-serif';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-    ctx.fillText('Smut Wrapped 2025', canvas.width / 2, canvas.height - 60);
+    ctx.fillText('Smut Wrapped ' + getWrappedYear(), canvas.width / 2, canvas.height - 60);
 
     return canvas.toDataURL('image/png');
   }
@@ -995,7 +1933,7 @@
         const dataUrl = await captureSlideAsDisplayed(slides[i]);
         capturedSlides.push({
           dataUrl: dataUrl,
-          filename: 'smut-wrapped-2025-slide-' + (i + 1) + '.png'
+          filename: 'smut-wrapped-' + getWrappedYear() + '-slide-' + (i + 1) + '.png'
         });
 
         // Restore state
@@ -1047,27 +1985,620 @@
     }
   }
 
+  // ==================
+  // Snapshots
+  // ==================
+
+  const SNAPSHOT_FORMAT = 'smut-wrapped-snapshot';
+  const SNAPSHOT_VERSION = 1;
+
   /**
-   * Resets the app to start over
+   * Saves the current Wrapped (raw works and how they were scraped) to a file
    */
-  async function startOver() {
-    state.username = null;
-    state.scrapedData = null;
-    state.stats = null;
-    state.currentSlide = 0;
-    state.totalSlides = 0;
-    state.isProcessing = false;
-    state.profileStats = null;
-
-    // Log out of AO3 first
-    if (elements.webview) {
-      // Show loading indicator
-      if (elements.webviewLoading) {
-        elements.webviewLoading.classList.remove('hidden');
-      }
+  async function saveWrapped() {
+    if (!state.scrapedData) return;
 
-      // Navigate to AO3 logout page
-      elements.webview.src = 'https://archiveofourown.org/users/logout';
+    const originalText = elements.btnSaveWrapped.textContent;
+    elements.btnSaveWrapped.disabled = true;
+
+    try {
+      const snapshot = {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        analyzerVersion: window.StatsAnalyzer.VERSION,
+        username: state.username,
+        scrapedAt: state.scrapedAt,
+        options: state.scrapeOptions,
+        items: state.scrapedData,
+        subscriptions: state.subscriptions
+      };
+      const date = new Date(state.scrapedAt || Date.now()).toISOString().split('T')[0];
+      const filename = 'smut-wrapped-' + (state.username ? state.username + '-' : '') + date + '.json';
+
+      const result = await window.electronAPI.saveSnapshot(snapshot, filename);
+
+      if (result.success) {
+        elements.btnSaveWrapped.textContent = 'Saved!';
+        setTimeout(function() {
+          elements.btnSaveWrapped.textContent = originalText;
+          elements.btnSaveWrapped.disabled = false;
+        }, 2000);
+        return;
+      }
+
+      elements.btnSaveWrapped.textContent = originalText;
+      elements.btnSaveWrapped.disabled = false;
+      if (!result.canceled) {
+        showError('Save Failed', result.error || 'Could not save your Wrapped.');
+      }
+    } catch (error) {
+      console.error('Save snapshot error:', error);
+      elements.btnSaveWrapped.textContent = originalText;
+      elements.btnSaveWrapped.disabled = false;
+      showError('Save Failed', error.message);
+    }
+  }
+
+  /**
+   * Checks that a file is a snapshot this version of the app can read
+   * @param {Object} snapshot - Parsed snapshot file
+   * @returns {string|null} Problem description, or null if it is valid
+   */
+  function validateSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+      return 'This file is not a Smut Wrapped snapshot.';
+    }
+    if (typeof snapshot.version !== 'number' || snapshot.version > SNAPSHOT_VERSION) {
+      return 'This snapshot was saved by a newer version of Smut Wrapped. Please update the app to open it.';
+    }
+    if (!Array.isArray(snapshot.items) || snapshot.items.length === 0) {
+      return 'This snapshot does not contain any works.';
+    }
+    return null;
+  }
+
+  /**
+   * Opens a saved snapshot and shows its Wrapped without logging into AO3
+   */
+  async function openWrapped() {
+    try {
+      const result = await window.electronAPI.openSnapshot();
+
+      if (!result.success) {
+        if (!result.canceled) {
+          showError('Open Failed', result.error || 'Could not open the file.');
+        }
+        return;
+      }
+
+      const problem = validateSnapshot(result.snapshot);
+      if (problem) {
+        showError('Open Failed', problem);
+        return;
+      }
+
+      showLoadedWrapped(result.snapshot.items, result.snapshot);
+    } catch (error) {
+      console.error('Open snapshot error:', error);
+      showError('Open Failed', error.message);
+    }
+  }
+
+  /**
+   * Shows the Wrapped for works loaded from a file, skipping login and scraping
+   * @param {Object[]} works - Works to show
+   * @param {Object} meta - Where the works came from
+   * @param {string} meta.username - AO3 username, if known
+   * @param {Object} meta.options - Options the works were scraped with, if known
+   * @param {number} meta.scrapedAt - When the works were scraped, if known
+   * @param {Object[]} meta.subscriptions - Subscriptions scraped with the works, if any
+   */
+  function showLoadedWrapped(works, meta) {
+    state.username = meta.username || null;
+    state.scrapedData = works;
+    state.subscriptions = Array.isArray(meta.subscriptions) ? meta.subscriptions : null;
+    state.scrapeOptions = meta.options || null;
+    state.scrapedAt = meta.scrapedAt || null;
+
+    renderWrapped(works);
+
+    showScreen('results');
+    updateSlideNavigation();
+    updateSliderValues();
+  }
+
+  /**
+   * Imports an exported (or compatible) JSON dataset and shows its Wrapped
+   */
+  async function importDataset() {
+    try {
+      const result = await window.electronAPI.openDataset();
+
+      if (!result.success) {
+        if (!result.canceled) {
+          showError('Import Failed', result.error || 'Could not open the file.');
+        }
+        return;
+      }
+
+      const imported = window.DatasetImporter.importDataset(result.data);
+
+      if (imported.works.length === 0) {
+        showError('Import Failed', 'None of the ' + imported.rejected.length + ' rows in this file could be used. ' +
+          describeRejectedRows(imported.rejected));
+        return;
+      }
+
+      showLoadedWrapped(imported.works, imported);
+
+      if (imported.rejected.length > 0) {
+        showError(
+          'Import Complete',
+          'Imported ' + imported.works.length + ' works. Skipped ' + imported.rejected.length +
+            ' row' + (imported.rejected.length === 1 ? '' : 's') + ': ' + describeRejectedRows(imported.rejected),
+          null
+        );
+      }
+    } catch (error) {
+      console.error('Import dataset error:', error);
+      showError('Import Failed', error.message);
+    }
+  }
+
+  /**
+   * Builds a Wrapped from a folder of AO3 pages saved in the user's own browser,
+   * with no login and no network requests
+   */
+  async function loadSavedPages() {
+    if (state.isProcessing) return;
+
+    try {
+      const result = await window.electronAPI.openSavedPages();
+
+      if (!result.success) {
+        if (!result.canceled) {
+          showError('Open Failed', result.error || 'Could not read that folder.');
+        }
+        return;
+      }
+
+      if (result.files.length === 0) {
+        showError('No Pages Found', 'That folder has no saved web pages (.html files) in it.');
+        return;
+      }
+
+      state.isProcessing = true;
+      showScreen('progress');
+
+      const options = { source: 'both', timeRange: 'all' };
+      const scraped = await window.AO3Scraper.scrapeSavedPages(result.files, updateProgress, options);
+      state.isProcessing = false;
+
+      const { pages } = scraped;
+      if (scraped.items.length === 0) {
+        showScreen('welcome');
+        showError('No Works Found', 'None of the ' + result.files.length + ' pages in that folder were AO3 history, bookmark, or work pages.');
+        return;
+      }
+
+      showLoadedWrapped(scraped.items, { options: options, scrapedAt: Date.now() });
+
+      const notes = [];
+      if (pages.skipped.length > 0) {
+        notes.push(pages.skipped.length + ' file' + (pages.skipped.length === 1 ? " wasn't" : " weren't") + ' an AO3 page we could read.');
+      }
+      if (scraped.missingSeries > 0) {
+        notes.push(scraped.missingSeries + ' bookmarked series were left out; save their series pages into the folder to include them.');
+      }
+      if (scraped.missingDetails > 0) {
+        notes.push(scraped.missingDetails + ' works are missing some details; save their work pages into the folder to fill them in.');
+      }
+      if (notes.length > 0) {
+        showError(
+          'Saved Pages Loaded',
+          'Read ' + pages.history + ' history, ' + pages.bookmarks + ' bookmark, ' + pages.series + ' series, and ' +
+            pages.works + ' work pages. ' + notes.join(' '),
+          null
+        );
+      }
+    } catch (error) {
+      console.error('Saved pages error:', error);
+      state.isProcessing = false;
+      showScreen('welcome');
+      showError('Open Failed', error.message);
+    }
+  }
+
+  /**
+   * Summarizes rejected import rows for display
+   * @param {Object[]} rejected - Rejected rows from DatasetImporter
+   * @returns {string}
+   */
+  function describeRejectedRows(rejected) {
+    const shown = rejected.slice(0, 5).map(function(r) {
+      return 'row ' + r.row + (r.title ? ' ("' + r.title + '")' : '') + ' - ' + r.reason;
+    });
+    if (rejected.length > shown.length) {
+      shown.push('and ' + (rejected.length - shown.length) + ' more');
+    }
+    return shown.join('; ') + '.';
+  }
+
+  /**
+   * Summarizes the works whose pages couldn't be read, grouped by why
+   * @param {Object[]} items - Scraped items
+   * @returns {string|null} Report text, or null if every work was available
+   */
+  function describeUnavailableWorks(items) {
+    const unavailable = items.filter(function(item) { return item.unavailableReason; });
+    if (unavailable.length === 0) return null;
+
+    const labels = window.AO3Scraper.UNAVAILABLE_REASONS;
+    const groups = Object.keys(labels).map(function(reason) {
+      const titles = unavailable
+        .filter(function(item) { return item.unavailableReason === reason; })
+        .map(function(item) { return '"' + item.title + '"'; });
+      if (titles.length === 0) return null;
+
+      const shown = titles.slice(0, 5);
+      if (titles.length > shown.length) {
+        shown.push('and ' + (titles.length - shown.length) + ' more');
+      }
+      return labels[reason] + ' (' + titles.length + '): ' + shown.join(', ');
+    }).filter(Boolean);
+
+    return unavailable.length + ' work' + (unavailable.length === 1 ? '' : 's') +
+      ' couldn\'t be loaded, so only what the listing showed counts toward your stats. ' + groups.join('; ') + '.';
+  }
+
+  /**
+   * Builds a short label for a dataset: the period it covers, or when it was scraped
+   * @param {Object} dataset - Dataset with options and scrapedAt
+   * @param {boolean} withMonth - Include the month as well as the year of the scrape date
+   * @returns {string|null}
+   */
+  function getSnapshotLabel(dataset, withMonth) {
+    const periodLabel = getPeriodLabel(dataset.options);
+    if (periodLabel) return periodLabel;
+
+    if (!dataset.scrapedAt) return null;
+    const date = new Date(dataset.scrapedAt);
+    if (isNaN(date)) return null;
+    return withMonth
+      ? date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })
+      : String(date.getFullYear());
+  }
+
+  /**
+   * Compares the current Wrapped with a saved one as "Then vs Now" slides,
+   * or goes back to the current Wrapped if a comparison is showing
+   */
+  async function compareWrapped() {
+    if (!state.scrapedData) return;
+
+    if (state.isComparing) {
+      applyFiltersAndRegenerate();
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.openSnapshot();
+
+      if (!result.success) {
+        if (!result.canceled) {
+          showError('Open Failed', result.error || 'Could not open the file.');
+        }
+        return;
+      }
+
+      const problem = validateSnapshot(result.snapshot);
+      if (problem) {
+        showError('Open Failed', problem);
+        return;
+      }
+
+      const current = { items: state.scrapedData, options: state.scrapeOptions, scrapedAt: state.scrapedAt };
+      const other = {
+        items: result.snapshot.items,
+        options: result.snapshot.options || null,
+        scrapedAt: result.snapshot.scrapedAt || null
+      };
+      const [older, newer] = (other.scrapedAt || 0) <= (current.scrapedAt || 0)
+        ? [other, current]
+        : [current, other];
+
+      // Fall back to month and year when both were scraped in the same year
+      let labels = { then: getSnapshotLabel(older), now: getSnapshotLabel(newer) };
+      if (labels.then === labels.now) {
+        labels = { then: getSnapshotLabel(older, true), now: getSnapshotLabel(newer, true) };
+      }
+      if (!labels.then || !labels.now || labels.then === labels.now) {
+        labels = { then: 'Then', now: 'Now' };
+      }
+
+      const comparison = window.StatsAnalyzer.compare(older.items, newer.items, labels);
+      const slides = window.Visualizer.generateComparisonSlides(comparison);
+      state.totalSlides = slides.length;
+      state.currentSlide = 0;
+
+      window.Visualizer.renderSlides(slides, elements.slidesContainer);
+      setComparing(true);
+      updateSlideNavigation();
+    } catch (error) {
+      console.error('Compare snapshot error:', error);
+      showError('Compare Failed', error.message);
+    }
+  }
+
+  /**
+   * Tracks whether "Then vs Now" slides are showing and updates the toggle button
+   * @param {boolean} comparing - Whether a comparison is showing
+   */
+  function setComparing(comparing) {
+    state.isComparing = comparing;
+    elements.btnCompareWrapped.textContent = comparing ? 'Back to My Wrapped' : 'Compare With a Saved Wrapped';
+  }
+
+  // ==================
+  // Network Log
+  // ==================
+
+  // Most recent requests shown in the panel; the export always has all of them
+  const NETWORK_LOG_SHOWN = 100;
+
+  /**
+   * Formats a byte count for display
+   * @param {number|null} bytes - Size in bytes
+   * @returns {string}
+   */
+  function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '? KB';
+    if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  /**
+   * Builds the panel row for one logged request
+   * @param {Object} entry - Network log entry
+   * @returns {HTMLLIElement}
+   */
+  function createNetworkLogRow(entry) {
+    const row = document.createElement('li');
+    const time = new Date(entry.time).toLocaleTimeString();
+    const outcome = entry.status !== null ? String(entry.status) : 'failed';
+    const wait = entry.waitMs > 0 ? ' - waited ' + (entry.waitMs / 1000).toFixed(1) + 's' : '';
+
+    row.textContent = time + ' ' + entry.method + ' ' + outcome + ' ' + entry.url +
+      ' - ' + formatBytes(entry.bytes) + wait + (entry.source === 'app' ? '' : ' (' + entry.source + ')');
+    row.title = entry.url + (entry.error ? '\n' + entry.error : '');
+    row.classList.toggle('failed', Boolean(entry.error));
+    return row;
+  }
+
+  /**
+   * Updates the request count and list of sites next to the panel toggle
+   */
+  function updateNetworkSummary() {
+    const hosts = new Set();
+    let bytes = 0;
+    state.networkLog.forEach(function(entry) {
+      try {
+        hosts.add(new URL(entry.url).hostname);
+      } catch (e) {
+        // Not a URL we can parse; the row itself still shows it
+      }
+      bytes += entry.bytes || 0;
+    });
+
+    const count = state.networkLog.length;
+    elements.networkSummary.textContent = count === 0 ? '' :
+      '(' + count + ' request' + (count === 1 ? '' : 's') + ', ' + formatBytes(bytes) + ' to ' + Array.from(hosts).join(', ') + ')';
+  }
+
+  /**
+   * Redraws the panel with the most recent requests
+   */
+  function renderNetworkLog() {
+    elements.networkLog.textContent = '';
+    state.networkLog.slice(-NETWORK_LOG_SHOWN).reverse().forEach(function(entry) {
+      elements.networkLog.appendChild(createNetworkLogRow(entry));
+    });
+  }
+
+  /**
+   * Adds a request reported by the main process to the log and panel
+   * @param {Object} entry - Network log entry
+   */
+  function addNetworkEntry(entry) {
+    state.networkLog.push(entry);
+    updateNetworkSummary();
+
+    if (!elements.networkPanel.classList.contains('hidden')) {
+      elements.networkLog.insertBefore(createNetworkLogRow(entry), elements.networkLog.firstChild);
+      if (elements.networkLog.children.length > NETWORK_LOG_SHOWN) {
+        elements.networkLog.removeChild(elements.networkLog.lastChild);
+      }
+    }
+  }
+
+  /**
+   * Shows or hides the network activity panel
+   */
+  function toggleNetworkPanel() {
+    const open = elements.networkPanel.classList.contains('hidden');
+    elements.networkPanel.classList.toggle('hidden', !open);
+    if (open) {
+      renderNetworkLog();
+    }
+  }
+
+  /**
+   * Loads the requests made before the window was ready, then follows new ones
+   */
+  async function initNetworkLog() {
+    const result = await window.electronAPI.getNetworkLog();
+    if (result.success) {
+      state.networkLog = result.entries;
+      updateNetworkSummary();
+    }
+    window.electronAPI.onNetworkRequest(addNetworkEntry);
+  }
+
+  // ==================
+  // Export
+  // ==================
+
+  // Columns that lead the CSV; any other fields on the works follow in the order they appear
+  const CSV_LEADING_COLUMNS = [
+    'workId', 'title', 'authors', 'fandoms', 'rating', 'warnings', 'categories',
+    'relationships', 'characters', 'freeformTags', 'language', 'summary', 'wordCount', 'chapters',
+    'complete', 'kudos', 'hits', 'bookmarks', 'comments', 'visitCount', 'lastVisited',
+    'dateUpdated', 'datePublished', 'isBookmark', 'bookmarkTags', 'bookmarkNotes', 'isRec', 'isPrivate'
+  ];
+
+  /**
+   * Formats one value as a CSV cell, joining multi-valued fields
+   * @param {*} value - Field value
+   * @returns {string}
+   */
+  function toCSVCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    // Lists of plain values are joined; anything holding objects (like series memberships) stays JSON
+    if (Array.isArray(value) && !value.some(function(v) { return v && typeof v === 'object'; })) {
+      text = value.join('; ');
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /**
+   * Converts works to CSV with one row per work
+   * @param {Object[]} works - Works to convert
+   * @returns {string}
+   */
+  function worksToCSV(works) {
+    const columns = CSV_LEADING_COLUMNS.slice();
+    works.forEach(function(work) {
+      Object.keys(work).forEach(function(key) {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+
+    const rows = works.map(function(work) {
+      return columns.map(function(column) { return toCSVCell(work[column]); }).join(',');
+    });
+
+    return [columns.join(',')].concat(rows).join('\r\n');
+  }
+
+  /**
+   * Builds the contents and filename for an export
+   * @param {string} type - 'works-csv', 'works-json', 'stats-json' or 'network-log'
+   * @returns {{content: string, filename: string, format: string}}
+   */
+  function buildExport(type) {
+    const date = new Date().toISOString().split('T')[0];
+    const base = 'smut-wrapped-' + (state.username ? state.username + '-' : '') + date;
+
+    if (type === 'works-csv') {
+      return { content: worksToCSV(state.scrapedData), filename: base + '-works.csv', format: 'csv' };
+    }
+
+    if (type === 'works-json') {
+      const dataset = {
+        format: 'smut-wrapped-dataset',
+        schemaVersion: window.DatasetImporter.SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        username: state.username,
+        scrapedAt: state.scrapedAt,
+        options: state.scrapeOptions,
+        works: state.scrapedData,
+        subscriptions: state.subscriptions
+      };
+      return { content: JSON.stringify(dataset, null, 2), filename: base + '-works.json', format: 'json' };
+    }
+
+    if (type === 'network-log') {
+      const networkExport = {
+        format: 'smut-wrapped-network-log',
+        exportedAt: new Date().toISOString(),
+        entries: state.networkLog
+      };
+      return { content: JSON.stringify(networkExport, null, 2), filename: base + '-network-log.json', format: 'json' };
+    }
+
+    const statsExport = {
+      format: 'smut-wrapped-stats',
+      analyzerVersion: window.StatsAnalyzer.VERSION,
+      exportedAt: new Date().toISOString(),
+      username: state.username,
+      stats: state.stats
+    };
+    return { content: JSON.stringify(statsExport, null, 2), filename: base + '-stats.json', format: 'json' };
+  }
+
+  /**
+   * Shows or hides the export menu
+   * @param {boolean} [show] - Force the menu open or closed
+   */
+  function toggleExportMenu(show) {
+    const open = typeof show === 'boolean' ? show : elements.exportOptions.classList.contains('hidden');
+    elements.exportOptions.classList.toggle('hidden', !open);
+  }
+
+  /**
+   * Exports the works, stats or network log through a save dialog
+   * @param {string} type - 'works-csv', 'works-json', 'stats-json' or 'network-log'
+   */
+  async function exportData(type) {
+    toggleExportMenu(false);
+    if (type !== 'network-log' && (!state.stats || (type !== 'stats-json' && !state.scrapedData))) return;
+
+    try {
+      const { content, filename, format } = buildExport(type);
+      const result = await window.electronAPI.saveExport(content, filename, format);
+
+      if (!result.success && !result.canceled) {
+        showError('Export Failed', result.error || 'Could not save the export.');
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      showError('Export Failed', error.message);
+    }
+  }
+
+  /**
+   * Resets the app to start over
+   */
+  async function startOver() {
+    state.username = null;
+    state.scrapedData = null;
+    state.subscriptions = null;
+    state.scrapeOptions = null;
+    state.scrapedAt = null;
+    state.stats = null;
+    state.currentSlide = 0;
+    state.totalSlides = 0;
+    state.isProcessing = false;
+    setComparing(false);
+    setCreatorResults(false);
+    state.profileStats = null;
+
+    // Log out of AO3 first
+    if (elements.webview) {
+      // Show loading indicator
+      if (elements.webviewLoading) {
+        elements.webviewLoading.classList.remove('hidden');
+      }
+
+      // Navigate to AO3 logout page
+      elements.webview.src = 'https://archiveofourown.org/users/logout';
 
       // Wait for logout to complete
       await new Promise(function(resolve) { setTimeout(resolve, 1500); });
@@ -1195,15 +2726,8 @@
       return;
     }
 
-    // Recalculate stats with filtered data
-    state.stats = window.StatsAnalyzer.analyze(filteredWorks);
-
-    // Regenerate slides
-    const slides = window.Visualizer.generateSlides(state.stats);
-    state.totalSlides = slides.length;
-    state.currentSlide = 0;
-
-    window.Visualizer.renderSlides(slides, elements.slidesContainer);
+    // Recalculate stats and regenerate slides with filtered data
+    renderWrapped(filteredWorks);
     updateSlideNavigation();
 
     // Close filter panel after applying
@@ -1270,10 +2794,34 @@
       }
     });
 
+    elements.profileSelect.addEventListener('change', function() {
+      switchProfile(elements.profileSelect.value);
+    });
+    elements.btnNewProfile.addEventListener('click', function() {
+      toggleNewProfileForm(elements.newProfileForm.classList.contains('hidden'));
+    });
+    elements.btnCancelProfile.addEventListener('click', function() {
+      toggleNewProfileForm(false);
+    });
+    elements.btnCreateProfile.addEventListener('click', createProfile);
+    elements.newProfileName.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') createProfile();
+    });
+    elements.btnCombinedWrapped.addEventListener('click', toggleCombinedPanel);
+    elements.btnShowCombined.addEventListener('click', showCombinedWrapped);
+
+    elements.btnOpenWrapped.addEventListener('click', openWrapped);
+    elements.btnImportDataset.addEventListener('click', importDataset);
+    elements.btnSavedPages.addEventListener('click', loadSavedPages);
+
     // Login screen
     elements.btnCheckLogin.addEventListener('click', checkLoginStatus);
     elements.btnStartWrapped.addEventListener('click', startScraping);
+    elements.btnRefreshWrapped.addEventListener('click', refreshScraping);
+    elements.btnResumeWrapped.addEventListener('click', resumeScraping);
+    elements.btnDiscardCheckpoint.addEventListener('click', discardCheckpoint);
     elements.btnLogout.addEventListener('click', handleLogout);
+    elements.btnClearCache.addEventListener('click', handleClearCache);
 
     // Filter options - sliders update on input for real-time feedback
     if (elements.timeFilter) {
@@ -1282,23 +2830,76 @@
     if (elements.pageLimit) {
       elements.pageLimit.addEventListener('input', updateFilters);
     }
+    if (elements.calendarYear) {
+      elements.calendarYear.addEventListener('change', updateFilters);
+    }
+    if (elements.startDate) {
+      elements.startDate.addEventListener('change', updateFilters);
+    }
+    if (elements.endDate) {
+      elements.endDate.addEventListener('change', updateFilters);
+    }
     if (elements.sourceHistory) {
       elements.sourceHistory.addEventListener('change', updateFilters);
     }
     if (elements.sourceBookmarks) {
       elements.sourceBookmarks.addEventListener('change', updateFilters);
     }
+    if (elements.sourceToRead) {
+      elements.sourceToRead.addEventListener('change', updateFilters);
+    }
+    if (elements.sourceSubscriptions) {
+      elements.sourceSubscriptions.addEventListener('change', updateFilters);
+    }
+    if (elements.modeReader) {
+      elements.modeReader.addEventListener('change', updateFilters);
+    }
+    if (elements.modeCreator) {
+      elements.modeCreator.addEventListener('change', updateFilters);
+    }
+    if (elements.deepScan) {
+      elements.deepScan.addEventListener('change', updateFilters);
+    }
+
+    // Scraping schedule
+    [elements.quietHoursEnabled, elements.quietHoursStart, elements.quietHoursEnd,
+      elements.avoidBusyPeriods, elements.busyPeriods].forEach(function(input) {
+      input.addEventListener('change', saveScrapeSchedule);
+    });
 
     // Progress screen
     elements.btnCancelScrape.addEventListener('click', cancelScraping);
+    elements.btnPauseScrape.addEventListener('click', togglePauseScraping);
 
     // Results screen
     elements.btnPrevSlide.addEventListener('click', previousSlide);
     elements.btnNextSlide.addEventListener('click', nextSlide);
     elements.btnDownloadSlide.addEventListener('click', downloadCurrentSlide);
     elements.btnDownloadAll.addEventListener('click', downloadAllSlides);
+    elements.btnSaveWrapped.addEventListener('click', saveWrapped);
+    elements.btnCompareWrapped.addEventListener('click', compareWrapped);
+    elements.btnExport.addEventListener('click', function(e) {
+      e.stopPropagation();
+      toggleExportMenu();
+    });
+    elements.exportOptions.querySelectorAll('[data-export]').forEach(function(btn) {
+      btn.addEventListener('click', function() {
+        exportData(btn.dataset.export);
+      });
+    });
+    document.addEventListener('click', function(e) {
+      if (!elements.exportOptions.contains(e.target)) {
+        toggleExportMenu(false);
+      }
+    });
     elements.btnStartOver.addEventListener('click', startOver);
 
+    // Network activity panel
+    elements.btnToggleNetwork.addEventListener('click', toggleNetworkPanel);
+    elements.btnExportNetworkLog.addEventListener('click', function() {
+      exportData('network-log');
+    });
+
     // Filter controls
     elements.btnToggleFilters.addEventListener('click', toggleFilters);
     elements.wordCountMin.addEventListener('input', updateSliderValues);
@@ -1345,6 +2946,18 @@
 
   function init() {
     setupEventListeners();
+    populateYearOptions();
+    initNetworkLog();
+    loadScrapeSchedule();
+    initProfiles();
+
+    // Scrapes run in the main process, so one may still be going after a reload
+    window.electronAPI.onScrapeJobUpdate(handleScrapeJobUpdate);
+    reattachScrapeJob();
+
+    if (elements.welcomeYear) {
+      elements.welcomeYear.textContent = new Date().getFullYear();
+    }
 
     // Show welcome screen
     showScreen('welcome');
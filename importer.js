@@ -0,0 +1,211 @@
+/**
+ * Smut Wrapped - Dataset Importer Module
+ *
+ * Validates and migrates previously exported datasets so they can be
+ * analyzed again without logging into AO3.
+ */
+
+const DatasetImporter = (function () {
+  // Newest export schema this version of the app understands
+  const SCHEMA_VERSION = 1;
+
+  // Older or third-party field names and the current field they map to
+  const FIELD_ALIASES = {
+    id: 'workId',
+    work_id: 'workId',
+    words: 'wordCount',
+    word_count: 'wordCount',
+    author: 'authors',
+    fandom: 'fandoms',
+    ships: 'relationships',
+    pairings: 'relationships',
+    tags: 'freeformTags',
+    additionalTags: 'freeformTags',
+    isBookmarked: 'isBookmark',
+    visits: 'visitCount',
+    last_visited: 'lastVisited'
+  };
+
+  // Fields that hold lists; CSV-style strings are split on semicolons
+  const LIST_FIELDS = [
+    'authors', 'fandoms', 'warnings', 'categories', 'relationships', 'characters', 'freeformTags', 'bookmarkTags', 'collections'
+  ];
+
+  // Fields that hold counts; strings like "12,345" are converted to numbers
+  const NUMBER_FIELDS = ['wordCount', 'kudos', 'hits', 'bookmarks', 'comments', 'visitCount'];
+
+  /**
+   * Finds the list of works and the schema version in a parsed file
+   * @param {Object|Object[]} data - Parsed JSON file contents
+   * @returns {{works: Array, schemaVersion: number, meta: Object}}
+   */
+  function unwrap(data) {
+    // A bare array of works from a compatible tool
+    if (Array.isArray(data)) {
+      return { works: data, schemaVersion: 1, meta: {} };
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('This file does not contain a dataset.');
+    }
+
+    // Exports use "works"; snapshots and stored datasets use "items"
+    const works = Array.isArray(data.works) ? data.works : data.items;
+    if (!Array.isArray(works)) {
+      throw new Error('This file does not contain a list of works.');
+    }
+
+    const schemaVersion = data.schemaVersion || data.version || 1;
+    if (typeof schemaVersion !== 'number' || schemaVersion > SCHEMA_VERSION) {
+      throw new Error('This dataset was exported by a newer version of Smut Wrapped. Please update the app to import it.');
+    }
+
+    return {
+      works,
+      schemaVersion,
+      meta: {
+        username: data.username || null,
+        scrapedAt: data.scrapedAt || null,
+        options: data.options || null,
+        subscriptions: Array.isArray(data.subscriptions) ? data.subscriptions : null
+      }
+    };
+  }
+
+  /**
+   * Converts a count that may be a formatted string to a number
+   * @param {*} value - Raw value
+   * @returns {number|null}
+   */
+  function toNumber(value) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const parsed = parseInt(value.replace(/,/g, ''), 10);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Converts a list field that may be a single string to an array
+   * @param {*} value - Raw value
+   * @returns {string[]}
+   */
+  function toList(value) {
+    if (Array.isArray(value)) return value.map(String).filter(Boolean);
+    if (typeof value !== 'string') return [];
+    return value.split(';').map(v => v.trim()).filter(Boolean);
+  }
+
+  /**
+   * Renames legacy fields and normalizes value types on one work
+   * @param {Object} row - Work as found in the file
+   * @returns {Object} Work in the current item schema
+   */
+  function migrateWork(row) {
+    const work = {};
+
+    Object.entries(row).forEach(([key, value]) => {
+      const field = FIELD_ALIASES[key] || key;
+      // Don't let a legacy alias overwrite the current field if both are present
+      if (field !== key && row[field] !== undefined) return;
+      work[field] = value;
+    });
+
+    // Old datasets marked bookmarks with a source field instead of a flag
+    if (work.source === 'bookmark') {
+      work.isBookmark = true;
+    }
+    ['isBookmark', 'isExternal', 'isRec', 'isPrivate', 'isMarkedForLater', 'isToReadOnly'].forEach(flag => {
+      if (work[flag] !== undefined) {
+        work[flag] = work[flag] === true || work[flag] === 'true';
+      }
+    });
+
+    // Only web links are kept; anything else would end up as a link on a slide
+    if (work.externalUrl !== undefined && !/^https?:\/\//i.test(String(work.externalUrl || ''))) {
+      work.externalUrl = null;
+    }
+
+    if (work.workId !== undefined && work.workId !== null) {
+      work.workId = String(work.workId);
+    }
+
+    LIST_FIELDS.forEach(field => {
+      if (work[field] !== undefined) {
+        work[field] = toList(work[field]);
+      }
+    });
+
+    NUMBER_FIELDS.forEach(field => {
+      if (work[field] !== undefined) {
+        work[field] = toNumber(work[field]);
+      }
+    });
+
+    if (typeof work.complete === 'string') {
+      work.complete = work.complete === 'true' ? true : work.complete === 'false' ? false : null;
+    }
+
+    return work;
+  }
+
+  /**
+   * Explains why a migrated work can't be used, if it can't
+   * @param {Object} work - Migrated work
+   * @param {Set<string>} seenIds - Work IDs already accepted
+   * @returns {string|null} Rejection reason, or null if the work is usable
+   */
+  function getRejectionReason(work, seenIds) {
+    if (!work.workId) return 'missing work ID';
+    const validId = work.isExternal ? /^external-\d+$/ : /^\d+$/;
+    if (!validId.test(work.workId)) return 'invalid work ID "' + work.workId + '"';
+    if (seenIds.has(work.workId)) return 'duplicate of an earlier row';
+    if (!work.title) return 'missing title';
+    return null;
+  }
+
+  /**
+   * Imports a parsed dataset file
+   * @param {Object|Object[]} data - Parsed JSON file contents
+   * @returns {Object} Import result with works, rejected rows and file metadata
+   * @throws {Error} If the file isn't a dataset this version can read
+   */
+  function importDataset(data) {
+    const { works: rows, schemaVersion, meta } = unwrap(data);
+    const works = [];
+    const rejected = [];
+    const seenIds = new Set();
+
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        rejected.push({ row: index + 1, title: null, reason: 'not a work' });
+        return;
+      }
+
+      const work = migrateWork(row);
+      const reason = getRejectionReason(work, seenIds);
+      if (reason) {
+        rejected.push({ row: index + 1, title: work.title || null, reason });
+        return;
+      }
+
+      seenIds.add(work.workId);
+      works.push(work);
+    });
+
+    return {
+      works,
+      rejected,
+      schemaVersion,
+      ...meta
+    };
+  }
+
+  // Public API
+  return {
+    SCHEMA_VERSION,
+    importDataset
+  };
+})();
+
+// Make available globally
+window.DatasetImporter = DatasetImporter;
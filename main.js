@@ -1,6 +1,8 @@
-const { app, BrowserWindow, ipcMain, session, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, session, dialog, powerSaveBlocker, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { DOMParser } = require('linkedom');
+const AO3Scraper = require('./scraper.js');
 
 // Keep a global reference of the window object to prevent garbage collection
 let mainWindow;
@@ -8,14 +10,896 @@ let mainWindow;
 // AO3 base URL
 const AO3_BASE_URL = 'https://archiveofourown.org';
 
-// Session partition - must match the webview partition in index.html
+// Session partition of the default profile - must match the webview partition in index.html.
+// Other profiles get their own partition named after it (see getProfilePartition).
 const AO3_PARTITION = 'persist:ao3';
 
+// Named profiles and which one is active, kept at the top of the user data directory
+const PROFILES_FILENAME = 'profiles.json';
+
+// The profile every install starts with; it keeps its data at the top of the user data
+// directory, where it lived before profiles existed
+const DEFAULT_PROFILE_ID = 'default';
+
+// Directory holding every other profile's data, one subdirectory per profile
+const PROFILES_DIRNAME = 'profiles';
+
+// Directory in each profile's data where save and open dialogs for snapshots start
+const SNAPSHOTS_DIRNAME = 'snapshots';
+
+// Work metadata cache file (stored in the app's user data directory)
+const WORK_CACHE_FILENAME = 'work-cache.json';
+
+// Bump when parsed work metadata gains fields, so entries without them are fetched again
+const WORK_CACHE_VERSION = 2;
+
+// Incomplete works are re-fetched once their cached metadata is older than this
+const WIP_CACHE_MAX_AGE_DAYS = 7;
+
+// In-progress scrape checkpoint file, used to resume after a crash, cancel or quit
+const CHECKPOINT_FILENAME = 'scrape-checkpoint.json';
+
+// Scraping schedule (quiet hours and AO3 busy periods) chosen by the user
+const SCHEDULE_FILENAME = 'scrape-schedule.json';
+
+// How often a running job re-checks the schedule, so it stops and starts close to the set times
+const SCHEDULE_CHECK_MS = 30000;
+
+// Directory holding the most recent dataset per account, used by incremental refresh
+const DATASETS_DIRNAME = 'datasets';
+
+// Delay before writing cache changes to disk, so a scrape doesn't rewrite the file per work
+const CACHE_SAVE_DELAY_MS = 2000;
+
+// User-Agent sent with every request to AO3
+const USER_AGENT = 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)';
+
+// Minimum wait between any two AO3 requests, and the most it grows to when AO3 is under strain
+const BASE_RATE_LIMIT_MS = 5000;
+const MAX_RATE_LIMIT_MS = 60000;
+
+// Attempts per request when AO3 rate limits us or times out
+const MAX_REQUEST_ATTEMPTS = 3;
+
+// Longest Retry-After we'll honor, so a bad header can't stall the app indefinitely
+const MAX_RETRY_AFTER_MS = 15 * 60 * 1000;
+
+// Requests that take longer than this are abandoned and count as AO3 being under strain
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Assumed time AO3 takes to answer, until the app has timed some real responses
+const TYPICAL_RESPONSE_MS = 1000;
+
+// The live ETA is worked out from the pace of this many recent requests
+const ETA_SAMPLE_REQUESTS = 10;
+
+// Oldest network log entries are dropped past this many, so a long session can't grow it forever
+const NETWORK_LOG_MAX_ENTRIES = 5000;
+
+// Once AO3 slows us down to this delay (or asks us to wait this long), the user gets a notification
+const HEAVY_BACKOFF_NOTIFY_MS = 30000;
+
+// Partitions whose session has had its headers and network logging set up
+const preparedPartitions = new Set();
+
+/**
+ * Gets the active profile's AO3 session (also used by the webview), setting it up on first use
+ */
+function getAO3Session() {
+  const partition = getProfilePartition(getActiveProfileId());
+  const ao3Session = session.fromPartition(partition);
+  if (!preparedPartitions.has(partition)) {
+    preparedPartitions.add(partition);
+    setupAO3Session(ao3Session);
+  }
+  return ao3Session;
+}
+
+/**
+ * Sends our User-Agent from the login window too, and logs what it loads so the
+ * network log covers everything the app contacts
+ * @param {Electron.Session} ao3Session - A profile's AO3 session
+ */
+function setupAO3Session(ao3Session) {
+  ao3Session.webRequest.onBeforeSendHeaders((details, callback) => {
+    if (details.url.includes('archiveofourown.org')) {
+      details.requestHeaders['User-Agent'] = USER_AGENT;
+    }
+    callback({ requestHeaders: details.requestHeaders });
+  });
+
+  ao3Session.webRequest.onCompleted((details) => {
+    recordNetworkRequest({
+      source: 'login window',
+      method: details.method,
+      url: details.url,
+      status: details.statusCode,
+      bytes: getContentLength(details.responseHeaders),
+      waitMs: 0
+    });
+  });
+  ao3Session.webRequest.onErrorOccurred((details) => {
+    recordNetworkRequest({
+      source: 'login window',
+      method: details.method,
+      url: details.url,
+      status: null,
+      bytes: null,
+      waitMs: 0,
+      error: details.error
+    });
+  });
+}
+
+/**
+ * Gets the path of a file shared by every profile, in the app's user data directory
+ * @param {string} filename - File name
+ * @returns {string} Absolute file path
+ */
+function getAppDataPath(filename) {
+  return path.join(app.getPath('userData'), filename);
+}
+
+/**
+ * Gets the path of a file in a profile's data directory
+ * @param {string} filename - File name
+ * @param {string} [profileId] - Profile, the active one unless given
+ * @returns {string} Absolute file path
+ */
+function getDataPath(filename, profileId = getActiveProfileId()) {
+  return path.join(getProfileDir(profileId), filename);
+}
+
+/**
+ * Reads and parses a JSON file, returning a fallback if it is missing or unreadable
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file can't be read
+ * @returns {*}
+ */
+function readJSONFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Writes data to a JSON file, replacing it atomically
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON-serializable data
+ */
+function writeJSONFile(filePath, data) {
+  const tempPath = filePath + '.tmp';
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Gets the stored dataset path for an account
+ * @param {string} username - AO3 username
+ * @returns {string} Absolute file path
+ */
+function getDatasetPath(username) {
+  const safeName = String(username).replace(/[^\w-]/g, '_');
+  return getDataPath(path.join(DATASETS_DIRNAME, safeName + '.json'));
+}
+
+// ==================
+// Profiles
+// ==================
+
+// Loaded lazily from disk on first use: { activeProfileId, profiles: [{ id, name, createdAt }] }
+let profileStore = null;
+
+/**
+ * Gets the saved profiles, starting with just the default one
+ * @returns {Object} Profile store
+ */
+function getProfileStore() {
+  if (!profileStore) {
+    profileStore = readJSONFile(getAppDataPath(PROFILES_FILENAME), null) || {
+      activeProfileId: DEFAULT_PROFILE_ID,
+      profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: Date.now() }]
+    };
+  }
+  return profileStore;
+}
+
+/**
+ * Writes the profiles to disk
+ */
+function saveProfileStore() {
+  writeJSONFile(getAppDataPath(PROFILES_FILENAME), getProfileStore());
+}
+
+/**
+ * Gets the id of the active profile
+ * @returns {string}
+ */
+function getActiveProfileId() {
+  return getProfileStore().activeProfileId;
+}
+
+/**
+ * Gets the directory holding a profile's cache, checkpoint, datasets and snapshots
+ * @param {string} profileId - Profile id
+ * @returns {string} Absolute directory path
+ */
+function getProfileDir(profileId) {
+  const userData = app.getPath('userData');
+  return profileId === DEFAULT_PROFILE_ID ? userData : path.join(userData, PROFILES_DIRNAME, profileId);
+}
+
+/**
+ * Gets the session partition a profile's login lives in
+ * @param {string} profileId - Profile id
+ * @returns {string}
+ */
+function getProfilePartition(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? AO3_PARTITION : `${AO3_PARTITION}-${profileId}`;
+}
+
+/**
+ * Reads every dataset stored in a profile (one per AO3 account scraped in it)
+ * @param {string} profileId - Profile id
+ * @returns {Object[]} Stored datasets
+ */
+function readProfileDatasets(profileId) {
+  const dir = getDataPath(DATASETS_DIRNAME, profileId);
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return files.map(name => readJSONFile(path.join(dir, name), null)).filter(Boolean);
+}
+
+// ==================
+// Work Metadata Cache
+// ==================
+
+// In-memory copy of the cache: workId -> { cachedAt, metadata }
+let workCache = null;
+let workCacheSaveTimer = null;
+
+/**
+ * Loads the work cache from disk on first use
+ * @returns {Object} Cache entries keyed by workId
+ */
+function getWorkCache() {
+  if (!workCache) {
+    const stored = readJSONFile(getDataPath(WORK_CACHE_FILENAME), null);
+    workCache = stored && stored.version === WORK_CACHE_VERSION && stored.works ? stored.works : {};
+  }
+  return workCache;
+}
+
+/**
+ * Writes the work cache to disk immediately
+ */
+function flushWorkCache() {
+  if (workCacheSaveTimer) {
+    clearTimeout(workCacheSaveTimer);
+    workCacheSaveTimer = null;
+  }
+  if (!workCache) return;
+
+  try {
+    writeJSONFile(getDataPath(WORK_CACHE_FILENAME), { version: WORK_CACHE_VERSION, works: workCache });
+  } catch (error) {
+    console.error('Failed to save work cache:', error);
+  }
+}
+
+/**
+ * Schedules a write of the work cache to disk
+ */
+function scheduleWorkCacheSave() {
+  if (workCacheSaveTimer) return;
+  workCacheSaveTimer = setTimeout(flushWorkCache, CACHE_SAVE_DELAY_MS);
+}
+
+/**
+ * Checks whether a cache entry is still fresh.
+ * Complete works never expire; WIPs (and works of unknown status) expire after
+ * WIP_CACHE_MAX_AGE_DAYS since they may have gained chapters.
+ * @param {Object} entry - Cache entry
+ * @returns {boolean}
+ */
+function isCacheEntryFresh(entry) {
+  if (!entry || !entry.metadata) return false;
+  if (entry.metadata.complete === true) return true;
+
+  const ageMs = Date.now() - entry.cachedAt;
+  return ageMs < WIP_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// ==================
+// AO3 Request Queue
+// ==================
+
+// Every AO3 request is chained onto this promise, so only one is ever in flight
+let requestQueue = Promise.resolve();
+let currentRateLimitMs = BASE_RATE_LIMIT_MS;
+let consecutiveErrors = 0;
+// When the last request finished, and the earliest time AO3 asked us to come back
+let lastRequestAt = 0;
+let retryAfterUntil = 0;
+// Running average of how long AO3 takes to answer, used for time estimates
+let averageResponseMs = TYPICAL_RESPONSE_MS;
+// Called in the main process whenever the delay changes (the renderer gets an IPC message instead)
+const rateLimitListeners = [];
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null if there was no usable header
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = !isNaN(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+  if (isNaN(ms)) return null;
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Tells the renderer that the delay between requests has changed
+ * @param {string} message - Why it changed
+ * @param {number|null} retryAfterMs - How long AO3 asked us to wait, if it said
+ */
+function notifyRateLimitChanged(message, retryAfterMs) {
+  const info = {
+    message,
+    currentDelay: currentRateLimitMs / 1000,
+    retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : null
+  };
+  rateLimitListeners.forEach(listener => listener(info));
+
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('rate-limit-changed', info);
+}
+
+/**
+ * Gets the current pace of the request queue
+ * @returns {{currentDelay: number, retryAfter: number|null, averageResponse: number}} In seconds
+ */
+function getRateLimitInfo() {
+  return {
+    currentDelay: currentRateLimitMs / 1000,
+    retryAfter: retryAfterUntil > Date.now() ? Math.ceil((retryAfterUntil - Date.now()) / 1000) : null,
+    averageResponse: averageResponseMs / 1000
+  };
+}
+
+/**
+ * Resets the delay between AO3 requests to the base value
+ */
+function resetRateLimit() {
+  currentRateLimitMs = BASE_RATE_LIMIT_MS;
+  consecutiveErrors = 0;
+}
+
+/**
+ * Sends a single request to AO3 with the session cookies
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Result with html, status, final url and headers, or an error
+ */
+async function sendAO3Request(url) {
+  const ao3Session = getAO3Session();
+  const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
+
+  // Build cookie string
+  const cookieString = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Cookie': cookieString,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+      },
+      signal: controller.signal
+    });
+
+    const status = response.status;
+    const headers = Object.fromEntries(response.headers.entries());
+
+    // Return status for rate limiting detection (429, 503, etc.)
+    if (!response.ok) {
+      const error = `HTTP ${status}: ${response.statusText}`;
+      // Return rate-limiting/server stress indicators without throwing
+      if (status === 429 || status === 503 || status === 502 || status === 504) {
+        return { success: false, error, status, headers, rateLimited: true };
+      }
+      return { success: false, error, status, headers };
+    }
+
+    const html = await response.text();
+    // The final URL shows whether AO3 redirected us (e.g. to the login page for a restricted work)
+    return { success: true, html, status, url: response.url, headers };
+  } catch (error) {
+    // Detect timeout errors
+    if (error.name === 'AbortError') {
+      return { success: false, error: 'Request timed out', timeout: true };
+    }
+    return { success: false, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetches an AO3 page once its turn in the queue comes, waiting the current delay
+ * since the previous request and retrying when AO3 rate limits us or times out
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Result of the last attempt
+ */
+async function runAO3Request(url) {
+  let result;
+
+  for (let attempt = 1; attempt <= MAX_REQUEST_ATTEMPTS; attempt++) {
+    const waitMs = Math.max(Math.max(lastRequestAt + currentRateLimitMs, retryAfterUntil) - Date.now(), 0);
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+
+    const sentAt = Date.now();
+    result = await sendAO3Request(url);
+    lastRequestAt = Date.now();
+    if (!result.timeout) {
+      averageResponseMs = Math.round(averageResponseMs * 0.8 + (lastRequestAt - sentAt) * 0.2);
+    }
+
+    recordNetworkRequest({
+      source: 'app',
+      method: 'GET',
+      url,
+      status: result.status || null,
+      bytes: result.success ? Buffer.byteLength(result.html) : getContentLength(result.headers),
+      waitMs,
+      ...(result.success ? {} : { error: result.error })
+    });
+
+    if (result.success) {
+      // Gradually ease back to the normal pace once AO3 recovers
+      if (consecutiveErrors > 0) {
+        consecutiveErrors = 0;
+        currentRateLimitMs = Math.max(Math.round(currentRateLimitMs / 1.5), BASE_RATE_LIMIT_MS);
+        notifyRateLimitChanged('AO3 is responding normally again; speeding back up.', null);
+      }
+      return result;
+    }
+
+    if (!result.rateLimited && !result.timeout) {
+      return result;
+    }
+
+    // Slow down, and if AO3 said how long to wait, wait at least that long
+    consecutiveErrors++;
+    currentRateLimitMs = Math.min(currentRateLimitMs * 2, MAX_RATE_LIMIT_MS);
+    const retryAfterMs = parseRetryAfter(result.headers && result.headers['retry-after']);
+    if (retryAfterMs !== null) {
+      retryAfterUntil = lastRequestAt + retryAfterMs;
+    }
+    notifyRateLimitChanged('AO3 is rate limiting or under strain; slowing the process to be respectful.', retryAfterMs);
+  }
+
+  return { ...result, error: `${result.error} (gave up after ${MAX_REQUEST_ATTEMPTS} attempts)` };
+}
+
+/**
+ * Queues a request to AO3 behind every other AO3 request from the app
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Result with html, status, final url and headers, or an error
+ */
+function fetchAO3(url) {
+  const request = requestQueue.then(() => runAO3Request(url));
+  // A failed request mustn't stall the ones queued after it
+  requestQueue = request.catch(() => {});
+  return request;
+}
+
+// ==================
+// Network Log
+// ==================
+
+// Every outbound request, from the app's own queue and from the login window
+let networkLog = [];
+
+/**
+ * Reads the size of a response from its Content-Length header
+ * @param {Object} headers - Headers as a plain object, with string or string[] values
+ * @returns {number|null} Size in bytes, or null if the header is missing
+ */
+function getContentLength(headers) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find(name => name.toLowerCase() === 'content-length');
+  if (!key) return null;
+  const value = Array.isArray(headers[key]) ? headers[key][0] : headers[key];
+  const bytes = parseInt(value, 10);
+  return isNaN(bytes) ? null : bytes;
+}
+
+/**
+ * Adds a request to the network log and passes it on to the renderer
+ * @param {Object} entry - Request details
+ * @param {string} entry.source - 'app' for the app's own requests, 'login window' for the webview
+ * @param {string} entry.method - HTTP method
+ * @param {string} entry.url - Requested URL
+ * @param {number|null} entry.status - HTTP status, or null if no response arrived
+ * @param {number|null} entry.bytes - Response size, if known
+ * @param {number} entry.waitMs - Time spent waiting in the rate limit queue first
+ * @param {string} [entry.error] - Why the request failed, if it did
+ */
+function recordNetworkRequest(entry) {
+  const logged = { time: new Date().toISOString(), ...entry };
+  networkLog.push(logged);
+  if (networkLog.length > NETWORK_LOG_MAX_ENTRIES) {
+    networkLog = networkLog.slice(-NETWORK_LOG_MAX_ENTRIES);
+  }
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('network-request', logged);
+  }
+}
+
+// ==================
+// Scrape Schedule
+// ==================
+
+// Schedule used until the user saves one: no quiet hours and no busy periods
+const DEFAULT_SCRAPE_SCHEDULE = {
+  quietHours: { enabled: false, start: '02:00', end: '07:00' },
+  avoidBusyPeriods: false,
+  busyPeriods: []
+};
+
+// Loaded lazily from disk on first use
+let scrapeSchedule = null;
+
+/**
+ * Gets the saved scraping schedule
+ * @returns {Object} {quietHours: {enabled, start, end}, avoidBusyPeriods, busyPeriods: Array<{start, end, label?}>}
+ */
+function getScrapeSchedule() {
+  if (!scrapeSchedule) {
+    const stored = readJSONFile(getAppDataPath(SCHEDULE_FILENAME), null) || {};
+    scrapeSchedule = {
+      ...DEFAULT_SCRAPE_SCHEDULE,
+      ...stored,
+      quietHours: { ...DEFAULT_SCRAPE_SCHEDULE.quietHours, ...stored.quietHours }
+    };
+  }
+  return scrapeSchedule;
+}
+
+/**
+ * Converts an 'HH:MM' time to minutes after midnight
+ * @param {string} time - Local time of day
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Works out whether the schedule says not to contact AO3 right now
+ * @param {Date} now - Current time
+ * @returns {{reason: string, until: number|null}|null} Why and until when (ms timestamp) to wait, or null to go ahead
+ */
+function getScheduleHold(now) {
+  const schedule = getScrapeSchedule();
+
+  if (schedule.avoidBusyPeriods) {
+    // Busy periods are local date-times like '2025-03-14T18:00'; an open end lasts until the end of that day
+    for (const period of schedule.busyPeriods) {
+      const start = new Date(period.start).getTime();
+      const end = period.end
+        ? new Date(period.end).getTime()
+        : new Date(period.start.slice(0, 10) + 'T23:59:59').getTime();
+      if (now.getTime() >= start && now.getTime() < end) {
+        return { reason: period.label ? `AO3 busy period: ${period.label}` : 'AO3 busy period', until: end };
+      }
+    }
+  }
+
+  const quietHours = schedule.quietHours;
+  if (!quietHours.enabled) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  // The window may wrap past midnight (e.g. 22:00 to 06:00)
+  const inWindow = start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (start === end || inWindow) return null;
+
+  const next = new Date(now);
+  next.setHours(Math.floor(start / 60), start % 60, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return { reason: `Outside quiet hours (${quietHours.start}–${quietHours.end})`, until: next.getTime() };
+}
+
+// ==================
+// Scrape Job
+// ==================
+
+// The scraper runs here rather than in the window, so a reload or a minimized window
+// doesn't stop it. It uses the same request queue, cache and checkpoint as the IPC handlers.
+AO3Scraper.connect({
+  fetchUrl: async (url) => {
+    const result = await fetchAO3(url);
+    noteScrapeJobRequest(scrapeJob);
+    return result;
+  },
+  getCachedWork: async (workId) => getCachedWork(workId),
+  setCachedWork: async (workId, metadata) => setCachedWork(workId, metadata),
+  getScrapeCheckpoint: async () => getScrapeCheckpoint(),
+  saveScrapeCheckpoint: async (checkpoint) => saveScrapeCheckpoint(checkpoint),
+  clearScrapeCheckpoint: async () => clearScrapeCheckpoint(),
+  resetRateLimit: async () => resetRateLimit(),
+  onRateLimitChanged: (callback) => rateLimitListeners.push(callback)
+}, DOMParser);
+
+// The current or most recent job, kept until the renderer has shown its result
+let scrapeJob = null;
+let nextScrapeJobId = 1;
+
+// Re-checks the schedule while a job is active; null when no job is running
+let scheduleTimer = null;
+
+// Keeps the computer awake while a job is running; null when no blocker is held
+let powerSaveBlockerId = null;
+// Set once the user has been told about a heavy backoff, until AO3 recovers
+let heavyBackoffNotified = false;
+
+/**
+ * Shows a desktop notification while the window isn't in front; clicking it brings the window back
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ */
+function notifyUser(title, body) {
+  if (!Notification.isSupported() || (mainWindow && mainWindow.isFocused())) return;
+
+  const notification = new Notification({ title, body });
+  notification.on('click', () => {
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.focus();
+  });
+  notification.show();
+}
+
+/**
+ * Holds a power-save blocker while a job is running and releases it otherwise
+ * @param {boolean} running - Whether a job is running or waiting for its schedule (a paused one doesn't need the computer awake)
+ */
+function setKeepAwake(running) {
+  if (running && powerSaveBlockerId === null) {
+    powerSaveBlockerId = powerSaveBlocker.start('prevent-app-suspension');
+  } else if (!running && powerSaveBlockerId !== null) {
+    powerSaveBlocker.stop(powerSaveBlockerId);
+    powerSaveBlockerId = null;
+  }
+}
+
+/**
+ * Mirrors the job's progress on the taskbar or dock icon
+ * @param {Object} job - Scrape job
+ */
+function updateTaskbarProgress(job) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  if (!isScrapeJobActive(job)) {
+    mainWindow.setProgressBar(-1);
+    return;
+  }
+  const percent = job.progress ? Math.max(job.progress.percent, 0) : 0;
+  mainWindow.setProgressBar(percent / 100, { mode: job.status === 'running' ? 'normal' : 'paused' });
+}
+
+// Tell the user when AO3 makes a running job wait a long time, but only once per slowdown
+rateLimitListeners.push((info) => {
+  if (info.currentDelay * 1000 <= BASE_RATE_LIMIT_MS) {
+    heavyBackoffNotified = false;
+    return;
+  }
+  const waitMs = Math.max(info.currentDelay, info.retryAfter || 0) * 1000;
+  if (!isScrapeJobActive(scrapeJob) || heavyBackoffNotified || waitMs < HEAVY_BACKOFF_NOTIFY_MS) return;
+
+  heavyBackoffNotified = true;
+  notifyUser(
+    'AO3 is busy',
+    `Smut Wrapped has slowed down to about ${Math.round(waitMs / 1000)} seconds between requests. It will keep going on its own.`
+  );
+});
+
+/**
+ * Gets the part of the job the renderer needs to show it
+ * @param {Object} job - Scrape job
+ * @returns {Object} Job id, kind, username, options, status, schedule hold, last progress, ETA and result
+ */
+function describeScrapeJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    username: job.username,
+    options: job.options,
+    status: job.status,
+    scheduleHold: job.scheduleHold,
+    progress: job.progress,
+    eta: job.status === 'running' ? estimateScrapeJobSeconds(job) : null,
+    result: job.result,
+    startedAt: job.startedAt
+  };
+}
+
+/**
+ * Counts a request made by a running job, keeping the times of the most recent ones
+ * @param {Object|null} job - Scrape job
+ */
+function noteScrapeJobRequest(job) {
+  if (!job || job.status !== 'running') return;
+
+  job.requestsMade++;
+  job.requestTimes.push(Date.now());
+  if (job.requestTimes.length > ETA_SAMPLE_REQUESTS + 1) {
+    job.requestTimes.shift();
+  }
+}
+
+/**
+ * Works out how long a running job has left from the pace of its recent requests.
+ * With an estimated request count from the options screen, the requests still to go
+ * are counted down from it; otherwise (or once it's been passed) the requests per
+ * percent of progress so far are projected over the rest of the bar.
+ * @param {Object} job - Scrape job
+ * @returns {number|null} Seconds left, or null while there's nothing to go on
+ */
+function estimateScrapeJobSeconds(job) {
+  const times = job.requestTimes;
+  const observed = times.length >= 2
+    ? (times[times.length - 1] - times[0]) / (times.length - 1)
+    : currentRateLimitMs + averageResponseMs;
+  // A backoff that has only just started hasn't shown up in the observed pace yet
+  const msPerRequest = Math.max(observed, currentRateLimitMs + averageResponseMs, retryAfterUntil - Date.now());
+
+  let remaining = null;
+  if (job.estimatedRequests && job.requestsMade < job.estimatedRequests) {
+    remaining = job.estimatedRequests - job.requestsMade;
+  } else if (job.progress && job.progress.percent > job.startPercent && job.requestsMade > 0) {
+    const requestsPerPercent = job.requestsMade / (job.progress.percent - job.startPercent);
+    remaining = (100 - job.progress.percent) * requestsPerPercent;
+  }
+  return remaining === null ? null : Math.round(remaining * msPerRequest / 1000);
+}
+
+/**
+ * Sends the job's latest state to the renderer and the taskbar, and keeps the
+ * computer awake while the job is running or waiting for its window to open
+ * @param {Object} job - Scrape job
+ */
+function sendScrapeJobUpdate(job) {
+  setKeepAwake(job.status === 'running' || job.status === 'waiting');
+  updateTaskbarProgress(job);
+
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('scrape-job-update', describeScrapeJob(job));
+}
+
+/**
+ * Checks whether a job is still scraping (running, paused or waiting for its schedule)
+ * @param {Object|null} job - Scrape job
+ * @returns {boolean}
+ */
+function isScrapeJobActive(job) {
+  return Boolean(job) && ['running', 'paused', 'waiting'].includes(job.status);
+}
+
+/**
+ * Holds or releases the scraper to match the user's pause and the schedule.
+ * A user pause wins; otherwise the job waits while the schedule says so.
+ * @param {Object} job - Active scrape job
+ */
+function syncScraperPause(job) {
+  const status = job.userPaused ? 'paused' : job.scheduleHold ? 'waiting' : 'running';
+  if (status === 'running') {
+    AO3Scraper.requestResume();
+  } else {
+    AO3Scraper.requestPause();
+  }
+  if (status !== job.status) {
+    // Time spent paused or waiting says nothing about how fast AO3 is answering
+    job.requestTimes = [];
+    job.status = status;
+    sendScrapeJobUpdate(job);
+  }
+}
+
+/**
+ * Re-checks the schedule for an active job, suspending or resuming it as needed
+ * @param {Object} job - Scrape job
+ */
+function applyScrapeSchedule(job) {
+  if (!isScrapeJobActive(job)) return;
+
+  const hold = getScheduleHold(new Date());
+  const changed = JSON.stringify(hold) !== JSON.stringify(job.scheduleHold);
+  const previousStatus = job.status;
+  job.scheduleHold = hold;
+  syncScraperPause(job);
+  if (changed && job.status === previousStatus) {
+    // Still waiting, but the reason or resume time moved (e.g. a busy period ran into quiet hours)
+    sendScrapeJobUpdate(job);
+  }
+}
+
 /**
- * Gets the AO3 session (used by the webview)
+ * Runs a scrape job to completion, streaming its progress to the renderer
+ * @param {Object} job - Scrape job
+ * @param {Object} request - What to scrape (see start-scrape-job)
  */
-function getAO3Session() {
-  return session.fromPartition(AO3_PARTITION);
+async function runScrapeJob(job, request) {
+  const onProgress = (progress) => {
+    // A resumed job starts partway along the bar; only what it covers itself sets its pace
+    if (job.startPercent === null) {
+      job.startPercent = progress.percent;
+    }
+    job.progress = progress;
+    sendScrapeJobUpdate(job);
+  };
+
+  let result;
+  try {
+    // A pause left over from a cancelled job mustn't hold up this one
+    AO3Scraper.requestResume();
+    await AO3Scraper.resetRateLimit();
+    if (request.kind === 'creator') {
+      result = await AO3Scraper.scrapeCreator(request.username, onProgress);
+    } else if (request.kind === 'refresh') {
+      result = await AO3Scraper.refreshAll(request.username, request.previousItems, onProgress, request.options);
+    } else {
+      result = await AO3Scraper.scrapeAll(request.username, onProgress, request.options);
+    }
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  clearInterval(scheduleTimer);
+  scheduleTimer = null;
+  job.scheduleHold = null;
+  job.result = result;
+  job.status = result.success ? 'done' : result.cancelled ? 'cancelled' : 'failed';
+  sendScrapeJobUpdate(job);
+
+  if (job.status === 'done') {
+    const count = request.kind === 'creator' ? result.works.length : result.items.length;
+    notifyUser('Your Wrapped is ready', `Finished with ${count.toLocaleString()} works. Come and see!`);
+  } else if (job.status === 'failed') {
+    notifyUser('Scraping failed', result.error || 'Something went wrong. Your progress is saved, so you can resume.');
+  }
 }
 
 /**
@@ -56,17 +940,10 @@ function createWindow() {
 
 // App ready event
 app.whenReady().then(() => {
-  createWindow();
+  // Set custom User-Agent and network logging for the active profile's AO3 session
+  getAO3Session();
 
-  // Set custom User-Agent for the AO3 session
-  const ao3Session = getAO3Session();
-  ao3Session.webRequest.onBeforeSendHeaders((details, callback) => {
-    if (details.url.includes('archiveofourown.org')) {
-      details.requestHeaders['User-Agent'] =
-        'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)';
-    }
-    callback({ requestHeaders: details.requestHeaders });
-  });
+  createWindow();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -82,78 +959,389 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Make sure pending cache writes reach the disk before exiting
+app.on('before-quit', () => {
+  flushWorkCache();
+});
+
 // IPC Handlers for communication with renderer process
 
 /**
- * Fetches a URL with proper headers and rate limiting handled by the renderer
- * Returns HTML content as string
+ * Fetches a URL through the shared AO3 request queue
+ * Returns HTML content as string, along with the status, final URL and response headers
+ */
+ipcMain.handle('fetch-url', (event, url) => fetchAO3(url));
+
+/**
+ * Gets the current delay between AO3 requests
+ */
+ipcMain.handle('get-rate-limit', () => {
+  return { success: true, ...getRateLimitInfo() };
+});
+
+/**
+ * Resets the delay between AO3 requests to the base value, e.g. before a new scrape
+ */
+ipcMain.handle('reset-rate-limit', () => {
+  resetRateLimit();
+  return { success: true };
+});
+
+/**
+ * Gets every request logged so far this session
+ */
+ipcMain.handle('get-network-log', () => {
+  return { success: true, entries: networkLog };
+});
+
+/**
+ * Gets the current session cookies for AO3
+ */
+ipcMain.handle('get-cookies', async () => {
+  try {
+    const ao3Session = getAO3Session();
+    const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
+    return { success: true, cookies };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Logs out of AO3 by clearing all session data
+ */
+ipcMain.handle('logout', async () => {
+  try {
+    const ao3Session = getAO3Session();
+    await ao3Session.clearStorageData();
+    await ao3Session.clearCache();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Checks if user is logged into AO3 by looking for user session cookie
  */
-ipcMain.handle('fetch-url', async (event, url) => {
+ipcMain.handle('check-login', async () => {
   try {
     const ao3Session = getAO3Session();
     const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
 
-    // Build cookie string
-    const cookieString = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+    // Log cookies for debugging
+    console.log('AO3 Cookies:', cookies.map(c => c.name));
 
-    // Fetch the URL with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+    // Look for the user session cookie - AO3 uses user_credentials when logged in
+    const userCookie = cookies.find(c =>
+      c.name === 'user_credentials' ||
+      c.name === 'remember_user_token'
+    );
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)',
-        'Cookie': cookieString,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
-      },
-      signal: controller.signal
+    if (userCookie) {
+      return { success: true, loggedIn: true };
+    }
+
+    // Also check if we have a session and can access a logged-in page
+    const sessionCookie = cookies.find(c => c.name === '_otwarchive_session');
+    if (sessionCookie) {
+      // Try to verify by checking if the main page shows logged-in state
+      const result = await fetchAO3(AO3_BASE_URL);
+      const html = result.success ? result.html : '';
+
+      // Check for logged-in indicators
+      if (html.includes('Log Out') || html.includes('log-out') || html.includes('Hi, ')) {
+        return { success: true, loggedIn: true };
+      }
+    }
+
+    return { success: true, loggedIn: false };
+  } catch (error) {
+    return { success: false, error: error.message, loggedIn: false };
+  }
+});
+
+/**
+ * Validates a username by checking if the user page exists
+ * @param {string} username - Username to validate
+ * @returns {Promise<boolean>}
+ */
+async function validateUsername(username) {
+  try {
+    const result = await fetchAO3(`${AO3_BASE_URL}/users/${username}`);
+    // If we get a 200 and the page contains the username, it's valid
+    if (result.success) {
+      return result.html.includes(`/users/${username}/`) || result.html.includes(`>${username}<`);
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets the logged-in username from AO3 with validation
+ */
+ipcMain.handle('get-username', async () => {
+  try {
+    // Fetch the main page to get username from navigation
+    const result = await fetchAO3(AO3_BASE_URL);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const html = result.html;
+    let username = null;
+
+    // Parse username from the "Hi, username!" greeting
+    const usernameMatch = html.match(/Hi,\s*<a[^>]*>([^<]+)<\/a>/);
+    if (usernameMatch) {
+      username = usernameMatch[1].trim();
+    }
+
+    // Try alternate pattern - look in the user navigation
+    if (!username) {
+      const navMatch = html.match(/href="\/users\/([^"\/]+)"[^>]*>My Dashboard/);
+      if (navMatch) {
+        username = navMatch[1].trim();
+      }
+    }
+
+    // Try another pattern - greeting area
+    if (!username) {
+      const greetMatch = html.match(/id="greeting"[^>]*>.*?<a[^>]*href="\/users\/([^"\/]+)"/s);
+      if (greetMatch) {
+        username = greetMatch[1].trim();
+      }
+    }
+
+    if (!username) {
+      return { success: false, error: 'Username not found in page' };
+    }
+
+    // Sanity check: validate that this username exists and matches a /users/{username} URL
+    const isValid = await validateUsername(username);
+    if (!isValid) {
+      return { success: false, error: 'Username validation failed - please try logging in again' };
+    }
+
+    return { success: true, username };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Sizes up the user's listings (real page counts, works, and works not yet cached)
+ * for time estimation, along with the current pace of the request queue
+ */
+ipcMain.handle('get-profile-stats', async (event, username) => {
+  try {
+    // Goes through the queue directly, so a running job doesn't count these requests as its own
+    const stats = await AO3Scraper.estimateScrape(username, { fetchUrl: fetchAO3 });
+    return { success: true, stats: { ...stats, rateLimit: getRateLimitInfo() } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Saves an image file to disk
+ */
+ipcMain.handle('save-image', async (event, { dataUrl, defaultFilename }) => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: defaultFilename,
+      filters: [
+        { name: 'PNG Images', extensions: ['png'] }
+      ]
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    // Convert data URL to buffer and save
+    const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
+    const buffer = Buffer.from(base64Data, 'base64');
+
+    fs.writeFileSync(filePath, buffer);
+
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Saves a Wrapped snapshot (scraped works plus how they were scraped) to a JSON file
+ */
+ipcMain.handle('save-snapshot', async (event, { snapshot, defaultFilename }) => {
+  try {
+    // Each profile keeps its snapshots apart, starting in its own folder
+    const snapshotsDir = getDataPath(SNAPSHOTS_DIRNAME);
+    fs.mkdirSync(snapshotsDir, { recursive: true });
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: path.join(snapshotsDir, defaultFilename),
+      filters: [
+        { name: 'Smut Wrapped Snapshots', extensions: ['json'] }
+      ]
     });
 
-    clearTimeout(timeoutId);
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2));
+
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Asks the user for a JSON file and parses it
+ * @param {string} filterName - Name shown for the file type filter
+ * @param {string} [defaultPath] - Folder the dialog starts in
+ * @returns {Promise<{canceled: boolean, data?: *, filePath?: string}>}
+ */
+async function openJSONWithDialog(filterName, defaultPath) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    defaultPath,
+    properties: ['openFile'],
+    filters: [
+      { name: filterName, extensions: ['json'] }
+    ]
+  });
+
+  if (canceled || filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+  return { canceled: false, data, filePath: filePaths[0] };
+}
+
+/**
+ * Opens a previously saved Wrapped snapshot file
+ */
+ipcMain.handle('open-snapshot', async () => {
+  try {
+    const snapshotsDir = getDataPath(SNAPSHOTS_DIRNAME);
+    const { canceled, data, filePath } = await openJSONWithDialog(
+      'Smut Wrapped Snapshots',
+      fs.existsSync(snapshotsDir) ? snapshotsDir : undefined
+    );
+
+    if (canceled) {
+      return { success: false, canceled: true };
+    }
+
+    return { success: true, snapshot: data, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Opens an exported dataset file for import
+ */
+ipcMain.handle('open-dataset', async () => {
+  try {
+    const { canceled, data, filePath } = await openJSONWithDialog('JSON Datasets');
+
+    if (canceled) {
+      return { success: false, canceled: true };
+    }
+
+    return { success: true, data, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Lists the HTML files in a folder and its subfolders
+ * @param {string} dirPath - Folder to search
+ * @returns {string[]} Paths of .html and .htm files
+ */
+function findHTMLFiles(dirPath) {
+  const found = [];
+
+  fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+    const entryPath = path.join(dirPath, entry.name);
+    // Browsers save page assets into a sibling "<page>_files" folder
+    if (entry.isDirectory() && !entry.name.endsWith('_files')) {
+      found.push(...findHTMLFiles(entryPath));
+    } else if (entry.isFile() && /\.html?$/i.test(entry.name)) {
+      found.push(entryPath);
+    }
+  });
+
+  return found;
+}
 
-    // Return status for rate limiting detection (429, 503, etc.)
-    if (!response.ok) {
-      const status = response.status;
-      // Return rate-limiting/server stress indicators without throwing
-      if (status === 429 || status === 503 || status === 502 || status === 504) {
-        return { success: false, error: `HTTP ${status}: ${response.statusText}`, status, rateLimited: true };
-      }
-      return { success: false, error: `HTTP ${status}: ${response.statusText}`, status };
+/**
+ * Reads a user-picked folder of AO3 pages saved from their own browser (offline mode)
+ */
+ipcMain.handle('open-saved-pages', async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose the folder with your saved AO3 pages',
+      properties: ['openDirectory']
+    });
+
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
     }
 
-    const html = await response.text();
-    return { success: true, html, status: response.status };
+    const files = findHTMLFiles(filePaths[0]).map(filePath => ({
+      name: path.relative(filePaths[0], filePath),
+      html: fs.readFileSync(filePath, 'utf8')
+    }));
+
+    return { success: true, files, folderPath: filePaths[0] };
   } catch (error) {
-    // Detect timeout errors
-    if (error.name === 'AbortError') {
-      return { success: false, error: 'Request timed out', timeout: true };
-    }
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Gets the current session cookies for AO3
+ * Saves exported data (CSV or JSON text) using a save dialog
  */
-ipcMain.handle('get-cookies', async () => {
+ipcMain.handle('save-export', async (event, { content, defaultFilename, format }) => {
   try {
-    const ao3Session = getAO3Session();
-    const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
-    return { success: true, cookies };
+    const filters = format === 'csv'
+      ? [{ name: 'CSV Files', extensions: ['csv'] }]
+      : [{ name: 'JSON Files', extensions: ['json'] }];
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: defaultFilename,
+      filters
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    fs.writeFileSync(filePath, content, 'utf8');
+
+    return { success: true, filePath };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Logs out of AO3 by clearing all session data
+ * Clears all stored session data for privacy
  */
-ipcMain.handle('logout', async () => {
+ipcMain.handle('clear-session', async () => {
   try {
     const ao3Session = getAO3Session();
     await ao3Session.clearStorageData();
     await ao3Session.clearCache();
+    await ao3Session.clearAuthCache();
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -161,247 +1349,341 @@ ipcMain.handle('logout', async () => {
 });
 
 /**
- * Checks if user is logged into AO3 by looking for user session cookie
+ * Gets cached metadata for a work, if present and still fresh
+ * @param {string} workId - AO3 work ID
+ * @returns {{success: boolean, hit: boolean, metadata?: Object, cachedAt?: number}}
  */
-ipcMain.handle('check-login', async () => {
-  try {
-    const ao3Session = getAO3Session();
-    const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
+function getCachedWork(workId) {
+  const entry = getWorkCache()[workId];
+  if (!isCacheEntryFresh(entry)) {
+    return { success: true, hit: false };
+  }
+  return { success: true, hit: true, metadata: entry.metadata, cachedAt: entry.cachedAt };
+}
 
-    // Log cookies for debugging
-    console.log('AO3 Cookies:', cookies.map(c => c.name));
+/**
+ * Stores freshly fetched metadata for a work in the cache
+ * @param {string} workId - AO3 work ID
+ * @param {Object} metadata - Parsed work metadata
+ * @returns {{success: boolean, error?: string}}
+ */
+function setCachedWork(workId, metadata) {
+  try {
+    getWorkCache()[workId] = { cachedAt: Date.now(), metadata };
+    scheduleWorkCacheSave();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    // Look for the user session cookie - AO3 uses user_credentials when logged in
-    const userCookie = cookies.find(c =>
-      c.name === 'user_credentials' ||
-      c.name === 'remember_user_token'
-    );
+ipcMain.handle('get-cached-work', (event, workId) => getCachedWork(workId));
 
-    if (userCookie) {
-      return { success: true, loggedIn: true };
-    }
+ipcMain.handle('set-cached-work', (event, { workId, metadata }) => setCachedWork(workId, metadata));
 
-    // Also check if we have a session and can access a logged-in page
-    const sessionCookie = cookies.find(c => c.name === '_otwarchive_session');
-    if (sessionCookie) {
-      // Try to verify by checking if the main page shows logged-in state
-      const cookieString = cookies.map(c => `${c.name}=${c.value}`).join('; ');
-      const response = await fetch(AO3_BASE_URL, {
-        headers: {
-          'User-Agent': 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)',
-          'Cookie': cookieString
-        }
-      });
-      const html = await response.text();
+/**
+ * Gets the number of works in the cache that are still fresh
+ */
+ipcMain.handle('get-work-cache-info', () => {
+  const entries = Object.values(getWorkCache());
+  return {
+    success: true,
+    total: entries.length,
+    fresh: entries.filter(isCacheEntryFresh).length
+  };
+});
 
-      // Check for logged-in indicators
-      if (html.includes('Log Out') || html.includes('log-out') || html.includes('Hi, ')) {
-        return { success: true, loggedIn: true };
-      }
+/**
+ * Deletes all cached work metadata from disk
+ */
+ipcMain.handle('clear-work-cache', () => {
+  try {
+    if (workCacheSaveTimer) {
+      clearTimeout(workCacheSaveTimer);
+      workCacheSaveTimer = null;
     }
-
-    return { success: true, loggedIn: false };
+    workCache = {};
+    fs.rmSync(getDataPath(WORK_CACHE_FILENAME), { force: true });
+    return { success: true };
   } catch (error) {
-    return { success: false, error: error.message, loggedIn: false };
+    return { success: false, error: error.message };
   }
 });
 
 /**
- * Validates a username by checking if the user page exists
- * @param {string} username - Username to validate
- * @param {string} cookieString - Cookie string for auth
- * @returns {Promise<boolean>}
+ * Gets the saved scrape checkpoint, if any
+ * @returns {{success: boolean, checkpoint: Object|null}}
+ */
+function getScrapeCheckpoint() {
+  return { success: true, checkpoint: readJSONFile(getDataPath(CHECKPOINT_FILENAME), null) };
+}
+
+/**
+ * Saves scrape progress so it can be resumed later.
+ * Written synchronously so the file is up to date even if the app is closed mid-scrape.
+ * @param {Object} checkpoint - Scrape checkpoint
+ * @returns {{success: boolean, error?: string}}
  */
-async function validateUsername(username, cookieString) {
+function saveScrapeCheckpoint(checkpoint) {
   try {
-    const response = await fetch(`${AO3_BASE_URL}/users/${username}`, {
-      headers: {
-        'User-Agent': 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)',
-        'Cookie': cookieString
-      }
-    });
-    // If we get a 200 and the page contains the username, it's valid
-    if (response.ok) {
-      const html = await response.text();
-      return html.includes(`/users/${username}/`) || html.includes(`>${username}<`);
-    }
-    return false;
-  } catch {
-    return false;
+    writeJSONFile(getDataPath(CHECKPOINT_FILENAME), checkpoint);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Gets the logged-in username from AO3 with validation
+ * Deletes the saved scrape checkpoint
+ * @returns {{success: boolean, error?: string}}
  */
-ipcMain.handle('get-username', async () => {
+function clearScrapeCheckpoint() {
   try {
-    const ao3Session = getAO3Session();
-    const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
-    const cookieString = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+    fs.rmSync(getDataPath(CHECKPOINT_FILENAME), { force: true });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    // Fetch the main page to get username from navigation
-    const response = await fetch(AO3_BASE_URL, {
-      headers: {
-        'User-Agent': 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)',
-        'Cookie': cookieString
-      }
-    });
+ipcMain.handle('get-scrape-checkpoint', () => getScrapeCheckpoint());
 
-    const html = await response.text();
-    let username = null;
+ipcMain.handle('save-scrape-checkpoint', (event, checkpoint) => saveScrapeCheckpoint(checkpoint));
 
-    // Parse username from the "Hi, username!" greeting
-    const usernameMatch = html.match(/Hi,\s*<a[^>]*>([^<]+)<\/a>/);
-    if (usernameMatch) {
-      username = usernameMatch[1].trim();
-    }
+ipcMain.handle('clear-scrape-checkpoint', () => clearScrapeCheckpoint());
 
-    // Try alternate pattern - look in the user navigation
-    if (!username) {
-      const navMatch = html.match(/href="\/users\/([^"\/]+)"[^>]*>My Dashboard/);
-      if (navMatch) {
-        username = navMatch[1].trim();
-      }
-    }
+/**
+ * Starts a scrape job in the main process. Returns straight away; progress and the
+ * result arrive as scrape-job-update messages.
+ * request.kind is 'scrape' (with options, which may include resumeFrom), 'refresh'
+ * (with options and previousItems from the stored dataset) or 'creator'. A fresh
+ * scrape may also pass estimatedRequests, which the live ETA counts down from.
+ */
+ipcMain.handle('start-scrape-job', (event, request) => {
+  if (isScrapeJobActive(scrapeJob)) {
+    return { success: false, error: 'A scrape is already running.' };
+  }
 
-    // Try another pattern - greeting area
-    if (!username) {
-      const greetMatch = html.match(/id="greeting"[^>]*>.*?<a[^>]*href="\/users\/([^"\/]+)"/s);
-      if (greetMatch) {
-        username = greetMatch[1].trim();
-      }
-    }
+  const options = request.options || {};
+  scrapeJob = {
+    id: nextScrapeJobId++,
+    kind: request.kind,
+    username: request.username,
+    // A resumed scrape carries on with the options it was started with
+    options: options.resumeFrom ? options.resumeFrom.options : options,
+    status: 'running',
+    userPaused: false,
+    scheduleHold: null,
+    // Requests the options screen expected this scrape to make, if it could tell
+    estimatedRequests: request.estimatedRequests || null,
+    requestsMade: 0,
+    requestTimes: [],
+    startPercent: null,
+    progress: null,
+    result: null,
+    startedAt: Date.now()
+  };
 
-    if (!username) {
-      return { success: false, error: 'Username not found in page' };
-    }
+  heavyBackoffNotified = false;
+  runScrapeJob(scrapeJob, request);
+  // Outside the schedule, the job holds before its first request until the window opens
+  applyScrapeSchedule(scrapeJob);
+  scheduleTimer = setInterval(() => applyScrapeSchedule(scrapeJob), SCHEDULE_CHECK_MS);
+  sendScrapeJobUpdate(scrapeJob);
+  return { success: true, job: describeScrapeJob(scrapeJob) };
+});
 
-    // Sanity check: validate that this username exists and matches a /users/{username} URL
-    const isValid = await validateUsername(username, cookieString);
-    if (!isValid) {
-      return { success: false, error: 'Username validation failed - please try logging in again' };
-    }
+/**
+ * Gets the current or finished scrape job, e.g. after the window was reloaded
+ */
+ipcMain.handle('get-scrape-job', () => {
+  return { success: true, job: scrapeJob ? describeScrapeJob(scrapeJob) : null };
+});
 
-    return { success: true, username };
-  } catch (error) {
-    return { success: false, error: error.message };
+/**
+ * Pauses the running (or schedule-waiting) scrape job before its next request to AO3
+ */
+ipcMain.handle('pause-scrape-job', () => {
+  if (!scrapeJob || (scrapeJob.status !== 'running' && scrapeJob.status !== 'waiting')) {
+    return { success: false, error: 'No scrape is running.' };
   }
+  scrapeJob.userPaused = true;
+  syncScraperPause(scrapeJob);
+  return { success: true };
 });
 
 /**
- * Gets profile stats (history/bookmarks page counts) for time estimation
+ * Resumes a paused scrape job; it still waits if the schedule says not to contact AO3 yet
  */
-ipcMain.handle('get-profile-stats', async (event, username) => {
-  try {
-    const ao3Session = getAO3Session();
-    const cookies = await ao3Session.cookies.get({ url: AO3_BASE_URL });
-    const cookieString = cookies.map(c => `${c.name}=${c.value}`).join('; ');
-
-    const stats = {
-      historyPages: 0,
-      historyWorks: 0,
-      bookmarkPages: 0,
-      bookmarkWorks: 0
-    };
-
-    // Fetch history page to get count
-    const historyResponse = await fetch(`${AO3_BASE_URL}/users/${username}/readings`, {
-      headers: {
-        'User-Agent': 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)',
-        'Cookie': cookieString
-      }
-    });
-
-    if (historyResponse.ok) {
-      const historyHtml = await historyResponse.text();
-
-      // Look for pagination to find total pages
-      const historyPagesMatch = historyHtml.match(/href="[^"]*readings\?page=(\d+)"[^>]*>(\d+)<\/a>\s*<\/li>\s*<li[^>]*class="next"/);
-      if (historyPagesMatch) {
-        stats.historyPages = parseInt(historyPagesMatch[1], 10);
-      } else {
-        // Check if there's any pagination at all
-        const anyPageMatch = historyHtml.match(/class="pagination".*?page=(\d+)/s);
-        stats.historyPages = anyPageMatch ? parseInt(anyPageMatch[1], 10) : 1;
-      }
+ipcMain.handle('resume-scrape-job', () => {
+  if (!scrapeJob || scrapeJob.status !== 'paused') {
+    return { success: false, error: 'No scrape is paused.' };
+  }
+  scrapeJob.userPaused = false;
+  applyScrapeSchedule(scrapeJob);
+  return { success: true };
+});
 
-      // Estimate works (20 per page)
-      stats.historyWorks = stats.historyPages * 20;
-    }
+/**
+ * Cancels the scrape job; its checkpoint is kept so it can be resumed later
+ */
+ipcMain.handle('cancel-scrape-job', () => {
+  if (!isScrapeJobActive(scrapeJob)) {
+    return { success: false, error: 'No scrape is running.' };
+  }
+  AO3Scraper.requestCancel();
+  return { success: true };
+});
 
-    // Fetch bookmarks page to get count
-    const bookmarksResponse = await fetch(`${AO3_BASE_URL}/users/${username}/bookmarks`, {
-      headers: {
-        'User-Agent': 'SmutWrapped/1.0 (Respectful Bot; Desktop App for Personal AO3 Stats)',
-        'Cookie': cookieString
-      }
-    });
+/**
+ * Forgets a finished scrape job once the renderer has shown its result
+ */
+ipcMain.handle('dismiss-scrape-job', () => {
+  if (!isScrapeJobActive(scrapeJob)) {
+    scrapeJob = null;
+  }
+  return { success: true };
+});
 
-    if (bookmarksResponse.ok) {
-      const bookmarksHtml = await bookmarksResponse.text();
+/**
+ * Gets the scraping schedule (quiet hours and AO3 busy periods)
+ */
+ipcMain.handle('get-scrape-schedule', () => {
+  return { success: true, schedule: getScrapeSchedule() };
+});
 
-      // Look for pagination
-      const bookmarkPagesMatch = bookmarksHtml.match(/href="[^"]*bookmarks\?page=(\d+)"[^>]*>(\d+)<\/a>\s*<\/li>\s*<li[^>]*class="next"/);
-      if (bookmarkPagesMatch) {
-        stats.bookmarkPages = parseInt(bookmarkPagesMatch[1], 10);
-      } else {
-        const anyPageMatch = bookmarksHtml.match(/class="pagination".*?page=(\d+)/s);
-        stats.bookmarkPages = anyPageMatch ? parseInt(anyPageMatch[1], 10) : 1;
-      }
+/**
+ * Saves the scraping schedule and applies it straight away to any running job
+ */
+ipcMain.handle('save-scrape-schedule', (event, schedule) => {
+  try {
+    writeJSONFile(getAppDataPath(SCHEDULE_FILENAME), schedule);
+    scrapeSchedule = null;
+    applyScrapeSchedule(scrapeJob);
+    return { success: true, schedule: getScrapeSchedule() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-      stats.bookmarkWorks = stats.bookmarkPages * 20;
-    }
+/**
+ * Gets the dataset stored after the last successful scrape for an account
+ */
+ipcMain.handle('get-stored-dataset', (event, username) => {
+  if (!username) {
+    return { success: true, dataset: null };
+  }
+  return { success: true, dataset: readJSONFile(getDatasetPath(username), null) };
+});
 
-    return { success: true, stats };
+/**
+ * Stores the dataset of a successful scrape so it can be refreshed incrementally later
+ */
+ipcMain.handle('save-stored-dataset', (event, dataset) => {
+  try {
+    writeJSONFile(getDatasetPath(dataset.username), dataset);
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Saves an image file to disk
+ * Deletes all stored datasets
  */
-ipcMain.handle('save-image', async (event, { dataUrl, defaultFilename }) => {
+ipcMain.handle('clear-stored-datasets', () => {
   try {
-    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
-      defaultPath: defaultFilename,
-      filters: [
-        { name: 'PNG Images', extensions: ['png'] }
-      ]
-    });
+    fs.rmSync(getDataPath(DATASETS_DIRNAME), { recursive: true, force: true });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-    if (canceled || !filePath) {
-      return { success: false, canceled: true };
-    }
+/**
+ * Gets the profiles, which one is active, and the session partition its login window should use
+ */
+ipcMain.handle('get-profiles', () => {
+  const store = getProfileStore();
+  return {
+    success: true,
+    profiles: store.profiles,
+    activeProfileId: store.activeProfileId,
+    partition: getProfilePartition(store.activeProfileId)
+  };
+});
 
-    // Convert data URL to buffer and save
-    const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
+/**
+ * Creates a named profile with its own login, cache and snapshots; it isn't switched to
+ */
+ipcMain.handle('create-profile', (event, name) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    return { success: false, error: 'Give the profile a name.' };
+  }
 
-    fs.writeFileSync(filePath, buffer);
+  const store = getProfileStore();
+  if (store.profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    return { success: false, error: `There is already a profile called "${trimmed}".` };
+  }
 
-    return { success: true, filePath };
+  // Ids end up in partition and directory names, so they stay to plain characters
+  const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24);
+  const profile = { id: `${slug || 'profile'}-${Date.now().toString(36)}`, name: trimmed, createdAt: Date.now() };
+
+  try {
+    store.profiles.push(profile);
+    saveProfileStore();
+    return { success: true, profile };
   } catch (error) {
+    store.profiles.pop();
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Clears all stored session data for privacy
+ * Makes another profile active. Its cache, checkpoint and datasets are used from then on,
+ * and the renderer moves the login window to the returned partition.
  */
-ipcMain.handle('clear-session', async () => {
+ipcMain.handle('switch-profile', (event, profileId) => {
+  if (isScrapeJobActive(scrapeJob)) {
+    return { success: false, error: 'Finish or cancel the current scrape before switching profiles.' };
+  }
+
+  const store = getProfileStore();
+  if (!store.profiles.some(profile => profile.id === profileId)) {
+    return { success: false, error: 'That profile no longer exists.' };
+  }
+
   try {
-    const ao3Session = getAO3Session();
-    await ao3Session.clearStorageData();
-    await ao3Session.clearCache();
-    await ao3Session.clearAuthCache();
-    return { success: true };
+    // The in-memory cache belongs to the profile being left
+    flushWorkCache();
+    workCache = null;
+    scrapeJob = null;
+
+    store.activeProfileId = profileId;
+    saveProfileStore();
+    getAO3Session();
+    return { success: true, activeProfileId: profileId, partition: getProfilePartition(profileId) };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+/**
+ * Gets the stored datasets of several profiles, for a combined Wrapped
+ */
+ipcMain.handle('get-profile-datasets', (event, profileIds) => {
+  if (!Array.isArray(profileIds)) {
+    return { success: false, error: 'Choose the profiles to combine.' };
+  }
+
+  const profiles = getProfileStore().profiles.filter(profile => profileIds.includes(profile.id));
+  const datasets = profiles.flatMap(profile => readProfileDatasets(profile.id)
+    .map(dataset => ({ ...dataset, profileId: profile.id, profileName: profile.name })));
+  return { success: true, datasets };
+});
+
 /**
  * Gets app version info
  */
@@ -8,12 +8,47 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Expose protected methods that renderer can call
 contextBridge.exposeInMainWorld('electronAPI', {
   /**
-   * Fetches a URL through the main process with proper cookies
+   * Fetches a URL through the main process with proper cookies, queued behind
+   * every other AO3 request so the rate limit applies across the whole app
    * @param {string} url - The URL to fetch
-   * @returns {Promise<{success: boolean, html?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, html?: string, url?: string, status?: number, headers?: Object, error?: string}>}
    */
   fetchUrl: (url) => ipcRenderer.invoke('fetch-url', url),
 
+  /**
+   * Gets the current delay between AO3 requests
+   * @returns {Promise<{success: boolean, currentDelay: number, retryAfter: number|null, averageResponse: number}>}
+   */
+  getRateLimit: () => ipcRenderer.invoke('get-rate-limit'),
+
+  /**
+   * Resets the delay between AO3 requests to the base value
+   * @returns {Promise<{success: boolean}>}
+   */
+  resetRateLimit: () => ipcRenderer.invoke('reset-rate-limit'),
+
+  /**
+   * Registers a callback for when AO3 slows us down or lets us speed back up
+   * @param {Function} callback - Called with {message, currentDelay, retryAfter} (in seconds)
+   */
+  onRateLimitChanged: (callback) => {
+    ipcRenderer.on('rate-limit-changed', (event, info) => callback(info));
+  },
+
+  /**
+   * Gets every outbound request logged so far this session
+   * @returns {Promise<{success: boolean, entries: Array<Object>}>}
+   */
+  getNetworkLog: () => ipcRenderer.invoke('get-network-log'),
+
+  /**
+   * Registers a callback for each outbound request as it is logged
+   * @param {Function} callback - Called with {time, source, method, url, status, bytes, waitMs, error?}
+   */
+  onNetworkRequest: (callback) => {
+    ipcRenderer.on('network-request', (event, entry) => callback(entry));
+  },
+
   /**
    * Gets current AO3 session cookies
    * @returns {Promise<{success: boolean, cookies?: Array}>}
@@ -33,9 +68,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getUsername: () => ipcRenderer.invoke('get-username'),
 
   /**
-   * Gets profile statistics (page counts) for time estimation
+   * Sizes up the user's history, bookmarks and Marked for Later list for time estimation
    * @param {string} username - AO3 username
-   * @returns {Promise<{success: boolean, stats?: Object}>}
+   * @returns {Promise<{success: boolean, stats?: {history, bookmarks, toRead, rateLimit}, error?: string}>}
+   *   Each listing has pages, works, cached, workFetches, deepWorkFetches and seriesFetches
    */
   getProfileStats: (username) => ipcRenderer.invoke('get-profile-stats', username),
 
@@ -48,6 +84,43 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveImage: (dataUrl, defaultFilename) =>
     ipcRenderer.invoke('save-image', { dataUrl, defaultFilename }),
 
+  /**
+   * Saves a Wrapped snapshot to disk using a save dialog
+   * @param {Object} snapshot - Snapshot data
+   * @param {string} defaultFilename - Default filename for save dialog
+   * @returns {Promise<{success: boolean, filePath?: string}>}
+   */
+  saveSnapshot: (snapshot, defaultFilename) =>
+    ipcRenderer.invoke('save-snapshot', { snapshot, defaultFilename }),
+
+  /**
+   * Opens a saved Wrapped snapshot using an open dialog
+   * @returns {Promise<{success: boolean, snapshot?: Object}>}
+   */
+  openSnapshot: () => ipcRenderer.invoke('open-snapshot'),
+
+  /**
+   * Opens an exported dataset (JSON) using an open dialog
+   * @returns {Promise<{success: boolean, data?: Object|Array}>}
+   */
+  openDataset: () => ipcRenderer.invoke('open-dataset'),
+
+  /**
+   * Reads every HTML file in a folder of saved AO3 pages, chosen with a folder dialog
+   * @returns {Promise<{success: boolean, files?: Array<{name: string, html: string}>}>}
+   */
+  openSavedPages: () => ipcRenderer.invoke('open-saved-pages'),
+
+  /**
+   * Saves exported CSV or JSON text to disk using a save dialog
+   * @param {string} content - File contents
+   * @param {string} defaultFilename - Default filename for save dialog
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<{success: boolean, filePath?: string}>}
+   */
+  saveExport: (content, defaultFilename, format) =>
+    ipcRenderer.invoke('save-export', { content, defaultFilename, format }),
+
   /**
    * Clears all session data for privacy
    * @returns {Promise<{success: boolean}>}
@@ -60,6 +133,158 @@ contextBridge.exposeInMainWorld('electronAPI', {
    */
   logout: () => ipcRenderer.invoke('logout'),
 
+  /**
+   * Gets cached metadata for a work if it is still fresh
+   * @param {string} workId - AO3 work ID
+   * @returns {Promise<{success: boolean, hit: boolean, metadata?: Object}>}
+   */
+  getCachedWork: (workId) => ipcRenderer.invoke('get-cached-work', workId),
+
+  /**
+   * Stores work metadata in the local cache
+   * @param {string} workId - AO3 work ID
+   * @param {Object} metadata - Parsed work metadata
+   * @returns {Promise<{success: boolean}>}
+   */
+  setCachedWork: (workId, metadata) =>
+    ipcRenderer.invoke('set-cached-work', { workId, metadata }),
+
+  /**
+   * Gets the size of the local work cache
+   * @returns {Promise<{success: boolean, total: number, fresh: number}>}
+   */
+  getWorkCacheInfo: () => ipcRenderer.invoke('get-work-cache-info'),
+
+  /**
+   * Deletes all cached work metadata
+   * @returns {Promise<{success: boolean}>}
+   */
+  clearWorkCache: () => ipcRenderer.invoke('clear-work-cache'),
+
+  /**
+   * Gets the saved progress of an unfinished scrape
+   * @returns {Promise<{success: boolean, checkpoint: Object|null}>}
+   */
+  getScrapeCheckpoint: () => ipcRenderer.invoke('get-scrape-checkpoint'),
+
+  /**
+   * Saves the progress of the current scrape
+   * @param {Object} checkpoint - Scrape checkpoint
+   * @returns {Promise<{success: boolean}>}
+   */
+  saveScrapeCheckpoint: (checkpoint) => ipcRenderer.invoke('save-scrape-checkpoint', checkpoint),
+
+  /**
+   * Deletes the saved scrape progress
+   * @returns {Promise<{success: boolean}>}
+   */
+  clearScrapeCheckpoint: () => ipcRenderer.invoke('clear-scrape-checkpoint'),
+
+  /**
+   * Starts a scrape in the main process, where it keeps going if the window reloads
+   * @param {Object} request - {kind: 'scrape'|'refresh'|'creator', username, options?, previousItems?, estimatedRequests?}
+   * @returns {Promise<{success: boolean, job?: Object, error?: string}>}
+   */
+  startScrapeJob: (request) => ipcRenderer.invoke('start-scrape-job', request),
+
+  /**
+   * Gets the current scrape job, or the finished one whose result hasn't been shown yet
+   * @returns {Promise<{success: boolean, job: Object|null}>}
+   */
+  getScrapeJob: () => ipcRenderer.invoke('get-scrape-job'),
+
+  /**
+   * Pauses the running scrape job
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  pauseScrapeJob: () => ipcRenderer.invoke('pause-scrape-job'),
+
+  /**
+   * Resumes the paused scrape job
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  resumeScrapeJob: () => ipcRenderer.invoke('resume-scrape-job'),
+
+  /**
+   * Cancels the scrape job, keeping its checkpoint
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  cancelScrapeJob: () => ipcRenderer.invoke('cancel-scrape-job'),
+
+  /**
+   * Lets the main process forget a finished scrape job once its result is shown
+   * @returns {Promise<{success: boolean}>}
+   */
+  dismissScrapeJob: () => ipcRenderer.invoke('dismiss-scrape-job'),
+
+  /**
+   * Registers a callback for scrape job progress, pauses and its result
+   * @param {Function} callback - Called with {id, kind, username, options, status, scheduleHold, progress, eta, result, startedAt}
+   */
+  onScrapeJobUpdate: (callback) => {
+    ipcRenderer.on('scrape-job-update', (event, job) => callback(job));
+  },
+
+  /**
+   * Gets the scraping schedule
+   * @returns {Promise<{success: boolean, schedule: {quietHours: Object, avoidBusyPeriods: boolean, busyPeriods: Array<Object>}}>}
+   */
+  getScrapeSchedule: () => ipcRenderer.invoke('get-scrape-schedule'),
+
+  /**
+   * Saves the scraping schedule, which a running scrape follows straight away
+   * @param {Object} schedule - {quietHours: {enabled, start, end}, avoidBusyPeriods, busyPeriods: Array<{start, end, label?}>}
+   * @returns {Promise<{success: boolean, schedule?: Object, error?: string}>}
+   */
+  saveScrapeSchedule: (schedule) => ipcRenderer.invoke('save-scrape-schedule', schedule),
+
+  /**
+   * Gets the dataset stored after the last successful scrape for an account
+   * @param {string} username - AO3 username
+   * @returns {Promise<{success: boolean, dataset: Object|null}>}
+   */
+  getStoredDataset: (username) => ipcRenderer.invoke('get-stored-dataset', username),
+
+  /**
+   * Stores a scraped dataset for later incremental refreshes
+   * @param {Object} dataset - Dataset with username, options, scrapedAt and items
+   * @returns {Promise<{success: boolean}>}
+   */
+  saveStoredDataset: (dataset) => ipcRenderer.invoke('save-stored-dataset', dataset),
+
+  /**
+   * Deletes all stored datasets
+   * @returns {Promise<{success: boolean}>}
+   */
+  clearStoredDatasets: () => ipcRenderer.invoke('clear-stored-datasets'),
+
+  /**
+   * Gets the named profiles and the session partition of the active one
+   * @returns {Promise<{success: boolean, profiles: Array<{id: string, name: string, createdAt: number}>, activeProfileId: string, partition: string}>}
+   */
+  getProfiles: () => ipcRenderer.invoke('get-profiles'),
+
+  /**
+   * Creates a named profile with its own login, cache and snapshots
+   * @param {string} name - Profile name, e.g. "NSFW alt"
+   * @returns {Promise<{success: boolean, profile?: Object, error?: string}>}
+   */
+  createProfile: (name) => ipcRenderer.invoke('create-profile', name),
+
+  /**
+   * Makes another profile active
+   * @param {string} profileId - Profile id
+   * @returns {Promise<{success: boolean, activeProfileId?: string, partition?: string, error?: string}>}
+   */
+  switchProfile: (profileId) => ipcRenderer.invoke('switch-profile', profileId),
+
+  /**
+   * Gets the stored datasets of several profiles, for a combined Wrapped
+   * @param {string[]} profileIds - Profile ids
+   * @returns {Promise<{success: boolean, datasets: Array<Object>}>} Datasets tagged with profileId and profileName
+   */
+  getProfileDatasets: (profileIds) => ipcRenderer.invoke('get-profile-datasets', profileIds),
+
   /**
    * Gets application version information
    * @returns {Promise<{version: string, electronVersion: string, platform: string}>}
@@ -2,23 +2,68 @@
  * Smut Wrapped - AO3 Scraper Module
  *
  * Handles all scraping of AO3 reading history and work metadata.
- * Implements respectful rate limiting (5 seconds between requests).
+ * Requests are rate limited by the main process (at least 5 seconds apart).
+ *
+ * Scrapes that contact AO3 run as a job in the main process (with a Node DOM parser);
+ * the window loads the same module for saved pages and checkpoint summaries, and
+ * must not start scrapes of its own.
  */
 
 const AO3Scraper = (function () {
   // Constants
   const AO3_BASE_URL = 'https://archiveofourown.org';
   const BASE_RATE_LIMIT_MS = 5000; // 5 seconds between requests
-  const MAX_RATE_LIMIT_MS = 60000; // Max 60 seconds between requests when stressed
   const ITEMS_PER_PAGE = 20; // AO3 shows 20 items per history page
-  const MAX_RETRIES = 3; // Max retries for rate-limited requests
+  const CHECKPOINT_VERSION = 1; // Bump when the checkpoint format changes
+
+  // Fields the analyzer relies on; a work page is only fetched if the listing blurb lacked one.
+  // Kudos isn't among them: AO3 leaves the kudos count out of the stats of works with none.
+  const BLURB_REQUIRED_FIELDS = ['rating', 'wordCount', 'chapters', 'complete'];
+
+  // Why a work's page couldn't be read, stored on the item as unavailableReason
+  const UNAVAILABLE_REASONS = {
+    deleted: 'Deleted',
+    hidden: 'Hidden or unrevealed',
+    restricted: 'Restricted to logged-in users',
+    'adult-gated': 'Behind the adult content warning',
+    mystery: 'Mystery Work',
+    network: 'Network error'
+  };
+
+  // Titles history gives works it won't link to
+  const HISTORY_PLACEHOLDER_TITLES = ['Mystery Work', 'Deleted work'];
 
   // State
   let cancelRequested = false;
+  let pauseRequested = false;
+  let resumeWaiters = [];
   let currentRateLimitMs = BASE_RATE_LIMIT_MS;
-  let consecutiveErrors = 0;
   let onRateLimitCallback = null;
 
+  // What requests, the cache and checkpoints go through (window.electronAPI, or the main
+  // process's own functions in the same shape) and the DOMParser to read pages with
+  let api = null;
+  let HTMLParser = null;
+
+  /**
+   * Connects the scraper to the environment it runs in
+   * @param {Object} hostApi - fetchUrl, getCachedWork, setCachedWork, get/save/clearScrapeCheckpoint,
+   *   resetRateLimit and onRateLimitChanged, as on window.electronAPI
+   * @param {Function} Parser - DOMParser implementation
+   */
+  function connect(hostApi, Parser) {
+    api = hostApi;
+    HTMLParser = Parser;
+
+    // The request queue reports every change to the delay between requests
+    api.onRateLimitChanged(info => {
+      currentRateLimitMs = info.currentDelay * 1000;
+      if (onRateLimitCallback) {
+        onRateLimitCallback(info);
+      }
+    });
+  }
+
   /**
    * Sets the callback for rate limit notifications
    * @param {Function} callback - Callback function to call when rate limiting is detected
@@ -29,89 +74,44 @@ const AO3Scraper = (function () {
 
   /**
    * Resets the rate limit to base value
+   * @returns {Promise<void>}
    */
-  function resetRateLimit() {
+  async function resetRateLimit() {
     currentRateLimitMs = BASE_RATE_LIMIT_MS;
-    consecutiveErrors = 0;
-  }
-
-  /**
-   * Increases the rate limit due to server stress
-   */
-  function increaseRateLimit() {
-    consecutiveErrors++;
-    // Double the rate limit, up to the maximum
-    currentRateLimitMs = Math.min(currentRateLimitMs * 2, MAX_RATE_LIMIT_MS);
-    if (onRateLimitCallback) {
-      onRateLimitCallback({
-        message: 'AO3 is rate limiting or under strain; slowing the process to be respectful.',
-        currentDelay: currentRateLimitMs / 1000
-      });
-    }
+    await api.resetRateLimit();
   }
 
   /**
-   * Fetches a URL with automatic retry on rate limiting
+   * Fetches an AO3 page through the host's request queue (which spaces requests out and
+   * retries rate limited ones), unless the scrape has been paused or cancelled
    * @param {string} url - URL to fetch
-   * @param {string} errorContext - Context for error messages
    * @returns {Promise<Object>} Fetch result
    */
-  async function fetchWithRetry(url, errorContext) {
-    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-      const result = await window.electronAPI.fetchUrl(url);
-
-      if (result.success) {
-        // Success - decrease rate limit if we had errors before
-        if (consecutiveErrors > 0) {
-          consecutiveErrors = 0;
-          // Gradually decrease rate limit back to normal
-          currentRateLimitMs = Math.max(currentRateLimitMs / 1.5, BASE_RATE_LIMIT_MS);
-        }
-        return result;
-      }
-
-      // Check for rate limiting or server stress
-      if (result.rateLimited || result.timeout) {
-        increaseRateLimit();
-
-        if (attempt < MAX_RETRIES - 1) {
-          // Wait with increased delay before retry
-          await delay(currentRateLimitMs);
-          continue;
-        }
-      }
-
-      // Non-retryable error or max retries reached
-      return result;
+  async function fetchPage(url) {
+    // Pausing takes effect here, so a paused scrape sends nothing more to AO3
+    await waitWhilePaused();
+    if (isCancelled()) {
+      throw new Error('Scraping cancelled by user');
     }
 
-    return { success: false, error: `Max retries exceeded for ${errorContext}` };
+    return api.fetchUrl(url);
   }
 
   /**
-   * Gets the current rate limit in milliseconds
+   * Gets the current delay between requests in milliseconds, as last reported by the main process
    * @returns {number}
    */
   function getCurrentRateLimit() {
     return currentRateLimitMs;
   }
 
-  /**
-   * Delays execution for rate limiting
-   * @param {number} ms - Milliseconds to wait
-   * @returns {Promise<void>}
-   */
-  function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Parses HTML string into a DOM document
    * @param {string} html - HTML string to parse
    * @returns {Document}
    */
   function parseHTML(html) {
-    const parser = new DOMParser();
+    const parser = new HTMLParser();
     return parser.parseFromString(html, 'text/html');
   }
 
@@ -142,6 +142,8 @@ const AO3Scraper = (function () {
    */
   function requestCancel() {
     cancelRequested = true;
+    // A paused scrape has to wake up to notice it was cancelled
+    releasePause();
   }
 
   /**
@@ -151,6 +153,38 @@ const AO3Scraper = (function () {
     cancelRequested = false;
   }
 
+  /**
+   * Pauses the current scrape before its next request
+   */
+  function requestPause() {
+    pauseRequested = true;
+  }
+
+  /**
+   * Resumes a paused scrape
+   */
+  function requestResume() {
+    pauseRequested = false;
+    releasePause();
+  }
+
+  /**
+   * Lets any request waiting on a pause go ahead
+   */
+  function releasePause() {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  }
+
+  /**
+   * Waits until the scrape is resumed or cancelled, if it is paused
+   * @returns {Promise<void>}
+   */
+  function waitWhilePaused() {
+    if (!pauseRequested || cancelRequested) return Promise.resolve();
+    return new Promise(resolve => resumeWaiters.push(resolve));
+  }
+
   /**
    * Checks if cancellation was requested
    * @returns {boolean}
@@ -166,14 +200,21 @@ const AO3Scraper = (function () {
    * @returns {Promise<number>} Total number of pages
    */
   async function getPageCount(url, errorContext) {
-    const result = await fetchWithRetry(url, errorContext);
+    const result = await fetchPage(url);
 
     if (!result.success) {
       throw new Error(`Failed to fetch ${errorContext}: ${result.error}`);
     }
 
-    const doc = parseHTML(result.html);
+    return getPageCountFromDoc(parseHTML(result.html));
+  }
 
+  /**
+   * Reads the page count from the pagination of an already fetched page
+   * @param {Document} doc - Parsed AO3 page
+   * @returns {number} Total number of pages
+   */
+  function getPageCountFromDoc(doc) {
     // Find pagination - look for the last page number
     const pagination = doc.querySelector('ol.pagination');
     if (!pagination) {
@@ -205,6 +246,16 @@ const AO3Scraper = (function () {
     return getPageCount(url, 'history');
   }
 
+  /**
+   * Fetches the total number of Marked for Later pages for a user
+   * @param {string} username - AO3 username
+   * @returns {Promise<number>} Total number of pages
+   */
+  async function getMarkedForLaterPageCount(username) {
+    const url = `${AO3_BASE_URL}/users/${username}/readings?show=to-read`;
+    return getPageCount(url, 'Marked for Later');
+  }
+
   /**
    * Fetches the total number of bookmark pages for a user
    * @param {string} username - AO3 username
@@ -215,6 +266,224 @@ const AO3Scraper = (function () {
     return getPageCount(url, 'bookmarks');
   }
 
+  /**
+   * Reads the total item count from a listing heading like "1 - 20 of 1,234 Bookmarks by name"
+   * @param {Document} doc - Parsed listing page
+   * @returns {number|null} Total, or null if the heading doesn't give one
+   */
+  function getListingTotal(doc) {
+    const heading = getText(doc, 'h2.heading') || '';
+    const match = heading.match(/\bof\s+([\d,]+)/);
+    return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+  }
+
+  /**
+   * Sizes up a listing from its first page. The page count is read the same way as
+   * getPageCount; the first page then serves as a sample for how many works will
+   * still need their work page fetched once the local cache is taken into account.
+   * @param {string} url - First page of the listing
+   * @param {Function} parsePage - Parses a listing page into items
+   * @param {Function} fetchUrl - Fetches the page
+   * @returns {Promise<Object|null>} {pages, works, cached, workFetches, deepWorkFetches, seriesFetches},
+   *   or null if the page couldn't be loaded
+   */
+  async function estimateListing(url, parsePage, fetchUrl) {
+    const result = await fetchUrl(url);
+    if (!result.success) return null;
+
+    const doc = parseHTML(result.html);
+    const pages = getPageCountFromDoc(doc);
+    const items = parsePage(doc);
+    const works = pages === 1 ? items.length : getListingTotal(doc) || pages * ITEMS_PER_PAGE;
+
+    let cached = 0;
+    let needed = 0;
+    let deepNeeded = 0;
+    let series = 0;
+    for (const item of items) {
+      if (item.isSeriesBookmark) {
+        series++;
+        continue;
+      }
+      if (!hasWorkPage(item)) continue;
+      if (await getCachedMetadata(item.workId)) {
+        cached++;
+        continue;
+      }
+      deepNeeded++;
+      if (needsWorkPage(item)) {
+        needed++;
+      }
+    }
+
+    // Scale the sample up to the whole listing
+    const scale = items.length > 0 ? works / items.length : 0;
+    return {
+      pages,
+      works,
+      cached: Math.round(cached * scale),
+      workFetches: Math.round(needed * scale),
+      deepWorkFetches: Math.round(deepNeeded * scale),
+      seriesFetches: Math.round(series * scale)
+    };
+  }
+
+  /**
+   * Estimates how big a scrape of each listing would be, from the first page of each
+   * @param {string} username - AO3 username
+   * @param {Object} options - Estimate options
+   * @param {Function} options.fetchUrl - Fetch to use instead of the connected one, e.g. one
+   *   that isn't counted towards a running scrape job (default api.fetchUrl)
+   * @returns {Promise<Object>} {history, bookmarks, toRead}, each from estimateListing (null if it couldn't be loaded)
+   */
+  async function estimateScrape(username, options = {}) {
+    const { fetchUrl = api.fetchUrl } = options;
+    return {
+      history: await estimateListing(`${AO3_BASE_URL}/users/${username}/readings`, parseHistoryPage, fetchUrl),
+      bookmarks: await estimateListing(`${AO3_BASE_URL}/users/${username}/bookmarks`, parseBookmarkPage, fetchUrl),
+      toRead: await estimateListing(`${AO3_BASE_URL}/users/${username}/readings?show=to-read`, parseHistoryPage, fetchUrl)
+    };
+  }
+
+  /**
+   * Parses a numeric stat like "1,234" from an element
+   * @param {Element} element - DOM element
+   * @param {string} selector - CSS selector
+   * @returns {number|null}
+   */
+  function getCount(element, selector) {
+    const text = getText(element, selector);
+    if (!text) return null;
+    const count = parseInt(text.replace(/,/g, ''), 10);
+    return isNaN(count) ? null : count;
+  }
+
+  /**
+   * Checks whether a chapter count like "5/5", "3/10" or "3/?" describes a complete work
+   * @param {string} chapters - Chapter count text
+   * @returns {boolean}
+   */
+  function isCompleteChapters(chapters) {
+    const [posted, expected] = chapters.split('/').map(part => part.trim());
+    return expected !== '?' && posted === expected;
+  }
+
+  /**
+   * Reads the label of a required-tags symbol (rating, category, completion)
+   * @param {Element} item - Blurb element
+   * @param {string} selector - Selector for the symbol span
+   * @returns {string|null}
+   */
+  function getRequiredTag(item, selector) {
+    const symbol = item.querySelector(`.required-tags ${selector}`);
+    if (!symbol) return null;
+    return symbol.getAttribute('title') || symbol.textContent.trim() || null;
+  }
+
+  /**
+   * Parses the tag lists shown on a work blurb
+   * @param {Element} item - Blurb element
+   * @returns {Object} Warning, relationship, character and freeform tags
+   */
+  function parseBlurbTags(item) {
+    return {
+      warnings: getAllText(item, '.warnings.tags .tag, ul.tags li.warnings .tag'),
+      relationships: getAllText(item, '.relationships.tags .tag, ul.tags li.relationships .tag'),
+      characters: getAllText(item, '.characters.tags .tag, ul.tags li.characters .tag'),
+      freeformTags: getAllText(item, '.freeforms.tags .tag, ul.tags li.freeforms .tag')
+    };
+  }
+
+  /**
+   * Parses the series a work belongs to and its part number in each
+   * @param {Element|Document} element - Blurb or work page
+   * @param {string} selector - Selector for each series entry ("Part 2 of <a>Series</a>")
+   * @returns {Array<{seriesId: string, title: string, position: number|null}>}
+   */
+  function parseSeriesMemberships(element, selector) {
+    return Array.from(element.querySelectorAll(selector)).map(entry => {
+      const link = entry.querySelector('a[href*="/series/"]');
+      const idMatch = link ? link.getAttribute('href').match(/\/series\/(\d+)/) : null;
+      if (!idMatch) return null;
+
+      const positionMatch = entry.textContent.match(/Part\s+(\d+)/i);
+      return {
+        seriesId: idMatch[1],
+        title: link.textContent.trim(),
+        position: positionMatch ? parseInt(positionMatch[1], 10) : null
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Parses the required tags and stats block of a work blurb.
+   * History and bookmark listings carry most of what the work page does, so
+   * reading them here saves a request per work.
+   * @param {Element} item - Blurb element
+   * @returns {Object} Rating, categories, completion, language, summary, series and stats
+   */
+  function parseBlurbDetails(item) {
+    const rating = getRequiredTag(item, '.rating');
+
+    // Categories can be combined, e.g. "F/M, M/M"
+    const categoryText = getRequiredTag(item, '.category');
+    const categories = categoryText && categoryText !== 'No category'
+      ? categoryText.split(',').map(c => c.trim()).filter(Boolean)
+      : [];
+
+    // Chapters look like "5/5" or "3/?"; fall back to the completion symbol
+    const chapters = getText(item, 'dl.stats dd.chapters');
+    let complete = null;
+    if (chapters) {
+      complete = isCompleteChapters(chapters);
+    } else {
+      const status = item.querySelector('.required-tags .iswip');
+      if (status) {
+        complete = status.classList.contains('complete-yes');
+      }
+    }
+
+    // A stats block without a kudos count means the work has no kudos yet
+    const kudos = getCount(item, 'dl.stats dd.kudos');
+    const hasStats = Boolean(item.querySelector('dl.stats'));
+
+    return {
+      rating,
+      categories,
+      complete,
+      chapters,
+      language: getText(item, 'dl.stats dd.language'),
+      summary: getText(item, 'blockquote.summary'),
+      seriesMemberships: parseSeriesMemberships(item, 'ul.series li'),
+      wordCount: getCount(item, 'dl.stats dd.words'),
+      kudos: kudos === null && hasStats ? 0 : kudos,
+      hits: getCount(item, 'dl.stats dd.hits'),
+      bookmarks: getCount(item, 'dl.stats dd.bookmarks'),
+      comments: getCount(item, 'dl.stats dd.comments'),
+      dateUpdated: getText(item, '.header .datetime')
+    };
+  }
+
+  /**
+   * Checks whether an item still needs its work page fetched, i.e. the
+   * listing blurb didn't provide every field the analyzer relies on
+   * @param {Object} item - Parsed listing item
+   * @returns {boolean}
+   */
+  function needsWorkPage(item) {
+    return hasWorkPage(item) && BLURB_REQUIRED_FIELDS.some(field => item[field] === null || item[field] === undefined);
+  }
+
+  /**
+   * Checks whether an item is an AO3 work with a readable work page (external works
+   * aren't, nor are the placeholders history shows for Mystery and deleted works)
+   * @param {Object} item - Listing item
+   * @returns {boolean}
+   */
+  function hasWorkPage(item) {
+    return !item.isExternal && !HISTORY_PLACEHOLDER_TITLES.includes(item.title);
+  }
+
   /**
    * Parses a single history item from the reading history page
    * @param {Element} item - DOM element representing a history item
@@ -223,7 +492,7 @@ const AO3Scraper = (function () {
   function parseHistoryItem(item) {
     // Get work link and ID
     const titleLink = item.querySelector('h4.heading a');
-    if (!titleLink) return null;
+    if (!titleLink) return parsePlaceholderHistoryItem(item);
 
     const workUrl = titleLink.getAttribute('href');
     const workIdMatch = workUrl.match(/\/works\/(\d+)/);
@@ -240,10 +509,57 @@ const AO3Scraper = (function () {
     const fandomLinks = item.querySelectorAll('h5.fandoms a.tag');
     const fandoms = Array.from(fandomLinks).map(a => a.textContent.trim());
 
+    return {
+      workId,
+      title,
+      authors,
+      fandoms,
+      ...parseHistoryVisits(item),
+      ...(title === 'Mystery Work' ? { unavailableReason: 'mystery' } : {}),
+      ...parseBlurbTags(item),
+      ...parseBlurbDetails(item),
+      // Only shown on the work page itself
+      datePublished: null
+    };
+  }
+
+  /**
+   * Parses a history entry AO3 shows without a link: an unlinked "Mystery Work" heading
+   * for a work in an unrevealed collection, or a "Deleted work" heading
+   * @param {Element} item - The li element
+   * @returns {Object|null} Placeholder item, or null if it isn't one of these
+   */
+  function parsePlaceholderHistoryItem(item) {
+    const heading = getText(item, 'h4.heading') || '';
+    const idMatch = (item.id || '').match(/work_(\d+)/);
+    if (!idMatch) return null;
+
+    const unavailableReason = /Mystery Work/i.test(heading) ? 'mystery' :
+                              /deleted/i.test(heading) ? 'deleted' : null;
+    if (!unavailableReason) return null;
+
+    return {
+      workId: idMatch[1],
+      title: unavailableReason === 'mystery' ? 'Mystery Work' : 'Deleted work',
+      authors: [],
+      fandoms: [],
+      ...parseHistoryVisits(item),
+      unavailableReason,
+      datePublished: null
+    };
+  }
+
+  /**
+   * Parses the visit count, last visit date and Marked for Later flag of a history entry
+   * @param {Element} item - The li element
+   * @returns {{visitCount: number, lastVisited: string|null, isMarkedForLater: boolean}}
+   */
+  function parseHistoryVisits(item) {
     // Get visit count and last visited from user status
     const visitedElement = item.querySelector('.user-status .visited');
     let visitCount = 1;
     let lastVisited = null;
+    let isMarkedForLater = false;
 
     if (visitedElement) {
       const visitText = visitedElement.textContent;
@@ -251,6 +567,7 @@ const AO3Scraper = (function () {
       if (countMatch) {
         visitCount = parseInt(countMatch[1], 10);
       }
+      isMarkedForLater = /Marked for Later/i.test(visitText);
 
       const dateElement = item.querySelector('.user-status .datetime');
       if (dateElement) {
@@ -258,40 +575,7 @@ const AO3Scraper = (function () {
       }
     }
 
-    // Get basic tags visible on history page
-    const warningTags = getAllText(item, '.warnings.tags .tag');
-    const relationshipTags = getAllText(item, '.relationships.tags .tag');
-    const characterTags = getAllText(item, '.characters.tags .tag');
-    const freeformTags = getAllText(item, '.freeforms.tags .tag');
-
-    // Get word count if visible
-    const wordCountEl = item.querySelector('dd.words');
-    let wordCount = null;
-    if (wordCountEl) {
-      const wcText = wordCountEl.textContent.replace(/,/g, '');
-      wordCount = parseInt(wcText, 10);
-    }
-
-    return {
-      workId,
-      title,
-      authors,
-      fandoms,
-      visitCount,
-      lastVisited,
-      warnings: warningTags,
-      relationships: relationshipTags,
-      characters: characterTags,
-      freeformTags,
-      wordCount,
-      // These will be populated when we fetch individual work pages
-      rating: null,
-      kudos: null,
-      bookmarks: null,
-      chapters: null,
-      complete: null,
-      datePublished: null
-    };
+    return { visitCount, lastVisited, isMarkedForLater };
   }
 
   /**
@@ -302,13 +586,39 @@ const AO3Scraper = (function () {
    */
   async function scrapeHistoryPage(username, pageNum) {
     const url = `${AO3_BASE_URL}/users/${username}/readings?page=${pageNum}`;
-    const result = await fetchWithRetry(url, `history page ${pageNum}`);
+    const result = await fetchPage(url);
 
     if (!result.success) {
       throw new Error(`Failed to fetch history page ${pageNum}: ${result.error}`);
     }
 
-    const doc = parseHTML(result.html);
+    return parseHistoryPage(parseHTML(result.html));
+  }
+
+  /**
+   * Scrapes a single page of the Marked for Later list
+   * @param {string} username - AO3 username
+   * @param {number} pageNum - Page number to fetch
+   * @returns {Promise<Object[]>} Array of history items, all marked for later
+   */
+  async function scrapeMarkedForLaterPage(username, pageNum) {
+    const url = `${AO3_BASE_URL}/users/${username}/readings?show=to-read&page=${pageNum}`;
+    const result = await fetchPage(url);
+
+    if (!result.success) {
+      throw new Error(`Failed to fetch Marked for Later page ${pageNum}: ${result.error}`);
+    }
+
+    // The list is a filtered view of the reading history, with the same blurbs
+    return parseHistoryPage(parseHTML(result.html)).map(item => ({ ...item, isMarkedForLater: true }));
+  }
+
+  /**
+   * Parses every work on a reading history page
+   * @param {Document} doc - Parsed history page
+   * @returns {Object[]} Parsed history items
+   */
+  function parseHistoryPage(doc) {
     const items = doc.querySelectorAll('.reading.work.blurb');
     const parsed = [];
 
@@ -337,8 +647,12 @@ const AO3Scraper = (function () {
       titleLink = item.querySelector('a.heading[href*="/works/"]');
     }
     if (!titleLink) {
-      // Skip non-work bookmarks (series, external works, etc.)
-      return null;
+      // Series are expanded into their works later; external works are kept as they are
+      const seriesLink = item.querySelector('h4 a[href*="/series/"]');
+      if (seriesLink) return parseSeriesBookmark(item, seriesLink);
+
+      const externalLink = item.querySelector('a[href*="/external_works/"]');
+      return externalLink ? parseExternalBookmark(item, externalLink) : null;
     }
 
     const workUrl = titleLink.getAttribute('href');
@@ -359,128 +673,495 @@ const AO3Scraper = (function () {
     }
     const fandoms = Array.from(fandomLinks).map(a => a.textContent.trim());
 
-    // Get bookmark date - try multiple locations
-    let dateElement = item.querySelector('.user .datetime');
-    if (!dateElement) {
-      dateElement = item.querySelector('.datetime');
-    }
-    let bookmarkDate = null;
-    if (dateElement) {
-      bookmarkDate = dateElement.textContent.trim();
-    }
-
-    // Get basic tags visible on bookmark page
-    const warningTags = getAllText(item, '.warnings.tags .tag');
-    const relationshipTags = getAllText(item, '.relationships.tags .tag');
-    const characterTags = getAllText(item, '.characters.tags .tag');
-    const freeformTags = getAllText(item, '.freeforms.tags .tag');
-
-    // Get word count if visible
-    const wordCountEl = item.querySelector('dd.words');
-    let wordCount = null;
-    if (wordCountEl) {
-      const wcText = wordCountEl.textContent.replace(/,/g, '');
-      wordCount = parseInt(wcText, 10);
-    }
-
     return {
       workId,
       title,
       authors,
       fandoms,
       visitCount: 1,
-      lastVisited: bookmarkDate,
-      warnings: warningTags,
-      relationships: relationshipTags,
-      characters: characterTags,
-      freeformTags,
-      wordCount,
+      lastVisited: getBookmarkDate(item),
+      ...parseBlurbTags(item),
+      ...parseBlurbDetails(item),
+      ...parseBookmarkerDetails(item),
       isBookmark: true,
-      // These will be populated when we fetch individual work pages
-      rating: null,
-      kudos: null,
-      bookmarks: null,
-      chapters: null,
-      complete: null,
+      // Only shown on the work page itself
       datePublished: null
     };
   }
 
   /**
-   * Scrapes a single page of bookmarks
-   * @param {string} username - AO3 username
-   * @param {number} pageNum - Page number to fetch
-   * @returns {Promise<Object[]>} Array of bookmark items
+   * Gets the date a bookmark was made
+   * @param {Element} item - DOM element representing a bookmark item
+   * @returns {string|null}
    */
-  async function scrapeBookmarkPage(username, pageNum) {
-    const url = `${AO3_BASE_URL}/users/${username}/bookmarks?page=${pageNum}`;
-    const result = await fetchWithRetry(url, `bookmark page ${pageNum}`);
-
-    if (!result.success) {
-      throw new Error(`Failed to fetch bookmark page ${pageNum}: ${result.error}`);
+  function getBookmarkDate(item) {
+    // Try multiple locations
+    let dateElement = item.querySelector('.user .datetime');
+    if (!dateElement) {
+      dateElement = item.querySelector('.datetime');
     }
+    return dateElement ? dateElement.textContent.trim() : null;
+  }
 
-    const doc = parseHTML(result.html);
-
-    // Try multiple selectors to catch different bookmark types
-    // Works can be in .bookmark.blurb or .work.blurb depending on page structure
-    let items = doc.querySelectorAll('.bookmark.blurb.group');
-
-    // Fallback to other possible selectors
-    if (items.length === 0) {
-      items = doc.querySelectorAll('.bookmark.blurb');
-    }
-    if (items.length === 0) {
-      items = doc.querySelectorAll('li.bookmark');
-    }
-    if (items.length === 0) {
-      items = doc.querySelectorAll('ol.bookmark > li');
+  /**
+   * Parses what the user added to a bookmark: their own tags, notes, and rec/private status
+   * @param {Element} item - DOM element representing a bookmark item
+   * @returns {Object} Bookmarker tags, notes, and flags
+   */
+  function parseBookmarkerDetails(item) {
+    const userSection = item.querySelector('.user.module') || item.querySelector('.own.user');
+    if (!userSection) {
+      return { bookmarkTags: [], bookmarkNotes: null, isRec: false, isPrivate: false };
     }
 
-    const parsed = [];
-
-    items.forEach(item => {
-      const bookmarkItem = parseBookmarkItem(item);
-      if (bookmarkItem) {
-        parsed.push(bookmarkItem);
-      }
-    });
+    const notesEl = userSection.querySelector('blockquote.notes') || userSection.querySelector('.notes');
+    const notes = notesEl ? notesEl.textContent.trim() : '';
 
-    return parsed;
+    return {
+      bookmarkTags: getAllText(userSection, 'ul.meta.tags a.tag, ul.meta a.tag'),
+      bookmarkNotes: notes || null,
+      isRec: Boolean(userSection.querySelector('.status .rec, span.rec')),
+      isPrivate: Boolean(userSection.querySelector('.status .private, span.private'))
+    };
   }
 
   /**
-   * Checks if a date string is within the last 12 months
-   * @param {string} dateStr - Date string like "15 Mar 2024"
-   * @returns {boolean}
+   * Parses a bookmarked series; its works are filled in from the series page by expandSeriesBookmarks
+   * @param {Element} item - DOM element representing a bookmark item
+   * @param {Element} seriesLink - Link to the series
+   * @returns {Object|null} Series bookmark placeholder
    */
-  function isWithinLastYear(dateStr) {
-    if (!dateStr) return true; // If no date, include it
+  function parseSeriesBookmark(item, seriesLink) {
+    const seriesIdMatch = seriesLink.getAttribute('href').match(/\/series\/(\d+)/);
+    if (!seriesIdMatch) return null;
 
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) return true; // If invalid date, include it
-
-    const oneYearAgo = new Date();
-    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-
-    return date >= oneYearAgo;
+    return {
+      isSeriesBookmark: true,
+      seriesId: seriesIdMatch[1],
+      title: seriesLink.textContent.trim(),
+      lastVisited: getBookmarkDate(item),
+      ...parseBookmarkerDetails(item)
+    };
   }
 
   /**
-   * Fetches detailed metadata for a single work
-   * @param {string} workId - AO3 work ID
-   * @returns {Promise<Object>} Work metadata
+   * Parses a bookmarked external work (a fic hosted outside AO3). The blurb carries its
+   * fandoms, rating and tags, but there is no work page and no word count.
+   * @param {Element} item - DOM element representing a bookmark item
+   * @param {Element} externalLink - Any link to the external work's AO3 record
+   * @returns {Object|null} Parsed external work item
    */
-  async function fetchWorkMetadata(workId) {
+  function parseExternalBookmark(item, externalLink) {
+    const externalIdMatch = externalLink.getAttribute('href').match(/\/external_works\/(\d+)/);
+    if (!externalIdMatch) return null;
+
+    const externalId = externalIdMatch[1];
+    const heading = item.querySelector('h4.heading') || item.querySelector('h4');
+    const titleLink = heading ? heading.querySelector('a') : null;
+    const href = titleLink ? titleLink.getAttribute('href') || '' : '';
+
+    // External creators are usually plain text after "by" rather than profile links
+    let authors = getAllText(item, 'a[rel="author"]');
+    if (authors.length === 0 && heading) {
+      const byMatch = heading.textContent.replace(/\s+/g, ' ').match(/\bby (.+)$/);
+      if (byMatch) authors = byMatch[1].split(',').map(a => a.trim()).filter(Boolean);
+    }
+
+    let fandoms = getAllText(item, 'h5.fandoms a.tag');
+    if (fandoms.length === 0) {
+      fandoms = getAllText(item, '.fandoms a.tag');
+    }
+
+    return {
+      workId: `external-${externalId}`,
+      externalId,
+      isExternal: true,
+      externalUrl: /^https?:\/\//.test(href) && !href.includes('archiveofourown.org')
+        ? href
+        : `${AO3_BASE_URL}/external_works/${externalId}`,
+      title: titleLink ? titleLink.textContent.trim() : 'Untitled',
+      authors,
+      fandoms,
+      visitCount: 1,
+      lastVisited: getBookmarkDate(item),
+      ...parseBlurbTags(item),
+      ...parseBlurbDetails(item),
+      ...parseBookmarkerDetails(item),
+      wordCount: null,
+      isBookmark: true,
+      datePublished: null
+    };
+  }
+
+  /**
+   * Parses the title, completion and works listed on a series page
+   * @param {Document} doc - Parsed series page
+   * @returns {{title: string|null, complete: boolean|null, works: Object[]}}
+   */
+  function parseSeriesPage(doc) {
+    const completeText = getText(doc, 'dl.series.meta dd.complete') || getText(doc, 'dd.complete');
+    let items = doc.querySelectorAll('ul.series.work.index > li.work.blurb');
+    if (items.length === 0) {
+      items = doc.querySelectorAll('li.work.blurb');
+    }
+
+    const works = [];
+    items.forEach(item => {
+      // Series listings use the same blurb markup as bookmarks, minus the bookmarker's section
+      const work = parseBookmarkItem(item);
+      if (work && !work.isSeriesBookmark) {
+        works.push(work);
+      }
+    });
+
+    return {
+      title: getText(doc, '.series-show h2.heading') || getText(doc, 'h2.heading'),
+      complete: completeText ? completeText.toLowerCase() === 'yes' : null,
+      works
+    };
+  }
+
+  /**
+   * Tags the works of a bookmarked series as bookmarked through that series
+   * @param {Object[]} works - Works parsed from the series page
+   * @param {Object} bookmark - Series bookmark placeholder
+   * @param {Object} series - Series details from parseSeriesPage
+   * @returns {Object[]}
+   */
+  function toSeriesWorks(works, bookmark, series) {
+    return works.map(work => ({
+      ...work,
+      lastVisited: bookmark.lastVisited,
+      isBookmark: true,
+      bookmarkTags: bookmark.bookmarkTags,
+      bookmarkNotes: bookmark.bookmarkNotes,
+      isRec: bookmark.isRec,
+      isPrivate: bookmark.isPrivate,
+      seriesId: bookmark.seriesId,
+      seriesTitle: series.title || bookmark.title,
+      seriesComplete: series.complete
+    }));
+  }
+
+  /**
+   * Fetches every work in a bookmarked series, following the series page's pagination
+   * @param {Object} bookmark - Series bookmark placeholder
+   * @returns {Promise<Object[]>} Works in the series
+   */
+  async function fetchSeriesWorks(bookmark) {
+    const url = `${AO3_BASE_URL}/series/${bookmark.seriesId}`;
+    const result = await fetchPage(url);
+
+    if (!result.success) {
+      throw new Error(`Failed to fetch series ${bookmark.seriesId}: ${result.error}`);
+    }
+
+    const doc = parseHTML(result.html);
+    const series = parseSeriesPage(doc);
+    const totalPages = getPageCountFromDoc(doc);
+
+    for (let page = 2; page <= totalPages; page++) {
+      if (isCancelled()) {
+        throw new Error('Scraping cancelled by user');
+      }
+
+      const pageResult = await fetchPage(`${url}?page=${page}`);
+      if (!pageResult.success) {
+        throw new Error(`Failed to fetch series ${bookmark.seriesId} page ${page}: ${pageResult.error}`);
+      }
+      series.works.push(...parseSeriesPage(parseHTML(pageResult.html)).works);
+    }
+
+    return toSeriesWorks(series.works, bookmark, series);
+  }
+
+  /**
+   * Replaces series bookmark placeholders with the works in each series
+   * @param {Object[]} items - Bookmark items from one listing page
+   * @param {Function} onProgress - Progress callback
+   * @param {number} percent - Progress percentage to report while fetching
+   * @returns {Promise<Object[]>} Items with series expanded into works
+   */
+  async function expandSeriesBookmarks(items, onProgress, percent) {
+    const expanded = [];
+
+    for (const item of items) {
+      if (!item.isSeriesBookmark) {
+        expanded.push(item);
+        continue;
+      }
+
+      if (isCancelled()) {
+        throw new Error('Scraping cancelled by user');
+      }
+
+      onProgress({
+        phase: 'bookmarks',
+        message: `Fetching bookmarked series "${item.title}"...`,
+        detail: `Respecting AO3's servers - please wait`,
+        percent
+      });
+
+      try {
+        expanded.push(...await fetchSeriesWorks(item));
+      } catch (error) {
+        if (error.message.includes('cancelled')) throw error;
+        console.error(`Failed to expand series ${item.seriesId}:`, error);
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Scrapes a single page of bookmarks
+   * @param {string} username - AO3 username
+   * @param {number} pageNum - Page number to fetch
+   * @returns {Promise<Object[]>} Array of bookmark items
+   */
+  async function scrapeBookmarkPage(username, pageNum) {
+    const url = `${AO3_BASE_URL}/users/${username}/bookmarks?page=${pageNum}`;
+    const result = await fetchPage(url);
+
+    if (!result.success) {
+      throw new Error(`Failed to fetch bookmark page ${pageNum}: ${result.error}`);
+    }
+
+    return parseBookmarkPage(parseHTML(result.html));
+  }
+
+  /**
+   * Parses every work on a bookmarks page
+   * @param {Document} doc - Parsed bookmarks page
+   * @returns {Object[]} Parsed bookmark items
+   */
+  function parseBookmarkPage(doc) {
+    // Try multiple selectors to catch different bookmark types
+    // Works can be in .bookmark.blurb or .work.blurb depending on page structure
+    let items = doc.querySelectorAll('.bookmark.blurb.group');
+
+    // Fallback to other possible selectors
+    if (items.length === 0) {
+      items = doc.querySelectorAll('.bookmark.blurb');
+    }
+    if (items.length === 0) {
+      items = doc.querySelectorAll('li.bookmark');
+    }
+    if (items.length === 0) {
+      items = doc.querySelectorAll('ol.bookmark > li');
+    }
+
+    const parsed = [];
+
+    items.forEach(item => {
+      const bookmarkItem = parseBookmarkItem(item);
+      if (bookmarkItem) {
+        parsed.push(bookmarkItem);
+      }
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Parses a YYYY-MM-DD date as local midnight
+   * @param {string} value - Date string from a date input
+   * @returns {Date|null}
+   */
+  function parseDateInput(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  }
+
+  /**
+   * Works out which dates a time range option covers
+   * @param {Object} options - Scraping options
+   * @param {string} options.timeRange - 'all', 'year' (last 12 months), 'calendar', 'custom' or 'pages'
+   * @param {number} options.year - Year to cover when timeRange is 'calendar'
+   * @param {string} options.startDate - First day (YYYY-MM-DD) when timeRange is 'custom'
+   * @param {string} options.endDate - Last day (YYYY-MM-DD) when timeRange is 'custom'
+   * @returns {{start: Date|null, end: Date|null}} Inclusive range; null means unbounded
+   */
+  function getDateRange(options = {}) {
+    const { timeRange, year, startDate, endDate } = options;
+
+    if (timeRange === 'year') {
+      const oneYearAgo = new Date();
+      oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+      return { start: oneYearAgo, end: null };
+    }
+
+    if (timeRange === 'calendar' && year) {
+      return {
+        start: new Date(year, 0, 1),
+        end: new Date(year, 11, 31, 23, 59, 59, 999)
+      };
+    }
+
+    if (timeRange === 'custom') {
+      const start = parseDateInput(startDate);
+      const end = parseDateInput(endDate);
+      if (end) end.setHours(23, 59, 59, 999);
+      return { start, end };
+    }
+
+    return { start: null, end: null };
+  }
+
+  /**
+   * Checks if a date string falls within a date range
+   * @param {string} dateStr - Date string like "15 Mar 2024"
+   * @param {Object} range - Range from getDateRange
+   * @returns {boolean}
+   */
+  function isWithinRange(dateStr, range) {
+    if (!dateStr) return true; // If no date, include it
+
+    const date = new Date(dateStr);
+    if (isNaN(date.getTime())) return true; // If invalid date, include it
+
+    if (range.start && date < range.start) return false;
+    if (range.end && date > range.end) return false;
+    return true;
+  }
+
+  /**
+   * Checks if a date string is earlier than the start of a date range
+   * @param {string} dateStr - Date string like "15 Mar 2024"
+   * @param {Object} range - Range from getDateRange
+   * @returns {boolean}
+   */
+  function isBeforeRange(dateStr, range) {
+    if (!range.start || !dateStr) return false;
+    const date = new Date(dateStr);
+    return !isNaN(date.getTime()) && date < range.start;
+  }
+
+  /**
+   * Filters listing items down to a date range
+   * @param {Object[]} items - Listing items
+   * @param {Object} range - Range from getDateRange
+   * @returns {Object[]}
+   */
+  function filterToRange(items, range) {
+    if (!range.start && !range.end) return items;
+    return items.filter(item => isWithinRange(item.lastVisited, range));
+  }
+
+  /**
+   * Looks up a work in the local metadata cache (kept by the main process)
+   * @param {string} workId - AO3 work ID
+   * @returns {Promise<Object|null>} Cached metadata, or null on a miss
+   */
+  async function getCachedMetadata(workId) {
+    try {
+      const result = await api.getCachedWork(workId);
+      return result.success && result.hit ? result.metadata : null;
+    } catch (error) {
+      console.error(`Cache lookup failed for work ${workId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Creates an error for a work page that couldn't be read, tagged with why
+   * @param {string} workId - AO3 work ID
+   * @param {string} reason - Key of UNAVAILABLE_REASONS
+   * @param {string} detail - What went wrong
+   * @returns {Error} Error with a reason property
+   */
+  function createUnavailableError(workId, reason, detail) {
+    const error = new Error(`Failed to fetch work ${workId}: ${detail}`);
+    error.reason = reason;
+    return error;
+  }
+
+  /**
+   * Works out why a work page request failed
+   * @param {Object} result - Failed fetchUrl result
+   * @returns {string} Key of UNAVAILABLE_REASONS
+   */
+  function classifyFetchFailure(result) {
+    if (result.status === 404) return 'deleted';
+    // AO3 answers 403 for works hidden by admins and works in unrevealed collections
+    if (result.status === 403) return 'hidden';
+    return 'network';
+  }
+
+  /**
+   * Checks a fetched work page for the pages AO3 serves instead of the work
+   * @param {Document} doc - Parsed page
+   * @param {string} [finalUrl] - URL after redirects
+   * @returns {string|null} Key of UNAVAILABLE_REASONS, or null if it is the work itself
+   */
+  function getUnavailablePageReason(doc, finalUrl) {
+    // Archive-locked works redirect logged-out visitors to the login page
+    if ((finalUrl && /\/users\/login|restricted=true/.test(finalUrl)) || doc.querySelector('form#new_user_session')) {
+      return 'restricted';
+    }
+    // The "This work could have adult content" interstitial has no work text
+    if (doc.querySelector('p.caution') && !doc.querySelector('#workskin')) {
+      return 'adult-gated';
+    }
+    if (getText(doc, '.preface h2.title') === 'Mystery Work' || doc.querySelector('.mystery')) {
+      return 'mystery';
+    }
+    return null;
+  }
+
+  /**
+   * Fetches detailed metadata for a single work, using the local cache when possible
+   * @param {string} workId - AO3 work ID
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.useCache - Whether to consult and update the cache (default true)
+   * @returns {Promise<Object>} Work metadata (fromCache is true when no request was made)
+   */
+  async function fetchWorkMetadata(workId, options = {}) {
+    const { useCache = true } = options;
+
+    if (useCache) {
+      const cached = await getCachedMetadata(workId);
+      if (cached) {
+        // Title and byline are only cached for fillPlaceholdersFromCache; the listing has them
+        const { title, authors, ...metadata } = cached;
+        return { ...metadata, fromCache: true };
+      }
+    }
+
     const url = `${AO3_BASE_URL}/works/${workId}?view_adult=true`;
-    const result = await fetchWithRetry(url, `work ${workId}`);
+    const result = await fetchPage(url);
 
     if (!result.success) {
-      throw new Error(`Failed to fetch work ${workId}: ${result.error}`);
+      throw createUnavailableError(workId, classifyFetchFailure(result), result.error);
     }
 
     const doc = parseHTML(result.html);
+    const unavailableReason = getUnavailablePageReason(doc, result.url);
+    if (unavailableReason) {
+      throw createUnavailableError(workId, unavailableReason, UNAVAILABLE_REASONS[unavailableReason]);
+    }
+
+    const metadata = parseWorkPage(doc, workId);
+
+    if (useCache) {
+      const title = getText(doc, 'h2.title.heading');
+      const authors = getAllText(doc, 'h3.byline a[rel="author"]');
+      api.setCachedWork(workId, { ...metadata, title, authors }).catch(error => {
+        console.error(`Failed to cache work ${workId}:`, error);
+      });
+    }
+
+    return { ...metadata, fromCache: false };
+  }
 
+  /**
+   * Parses the metadata block of a work page
+   * @param {Document} doc - Parsed work page
+   * @param {string} workId - AO3 work ID
+   * @returns {Object} Work metadata
+   */
+  function parseWorkPage(doc, workId) {
     // Parse rating
     const ratingTag = doc.querySelector('.rating.tags .tag');
     const rating = ratingTag ? ratingTag.textContent.trim() : 'Unknown';
@@ -500,6 +1181,17 @@ const AO3Scraper = (function () {
     // Parse freeform tags
     const freeformTags = getAllText(doc, '.freeform.tags .tag');
 
+    // Parse categories (M/M, F/F, Gen and so on)
+    const categories = getAllText(doc, '.category.tags .tag');
+
+    // Parse language, collections and series (outside the stats block)
+    const language = getText(doc, 'dl.work.meta dd.language');
+    const collections = getAllText(doc, 'dl.work.meta dd.collections a');
+    const seriesMemberships = parseSeriesMemberships(doc, 'dl.work.meta dd.series .position');
+
+    // The work summary comes first; chapter summaries further down use the same markup
+    const summary = getText(doc, '.preface .summary blockquote.userstuff');
+
     // Parse stats
     const statsBlock = doc.querySelector('dl.stats');
     let wordCount = null;
@@ -524,14 +1216,12 @@ const AO3Scraper = (function () {
         const chapText = chaptersEl.textContent.trim();
         chapters = chapText;
         // Check if complete (e.g., "5/5" vs "3/?")
-        complete = !chapText.includes('?');
+        complete = isCompleteChapters(chapText);
       }
 
-      // Kudos
+      // Kudos (left out entirely for a work with none)
       const kudosEl = statsBlock.querySelector('dd.kudos');
-      if (kudosEl) {
-        kudos = parseInt(kudosEl.textContent.replace(/,/g, ''), 10);
-      }
+      kudos = kudosEl ? parseInt(kudosEl.textContent.replace(/,/g, ''), 10) : 0;
 
       // Bookmarks
       const bookmarksEl = statsBlock.querySelector('dd.bookmarks');
@@ -566,6 +1256,11 @@ const AO3Scraper = (function () {
       relationships,
       characters,
       freeformTags,
+      categories,
+      language,
+      collections,
+      seriesMemberships,
+      summary,
       wordCount,
       chapters,
       kudos,
@@ -582,12 +1277,27 @@ const AO3Scraper = (function () {
    * @param {string} username - AO3 username
    * @param {Function} onProgress - Progress callback
    * @param {Object} options - Scraping options
-   * @returns {Promise<Object[]>} Array of all history items
+   * @param {number} options.startPage - First page to fetch (pages before it are already done)
+   * @param {number} options.totalPages - Known page count, skips the page count request
+   * @param {Object[]} options.previousItems - Items already collected from earlier pages
+   * @param {Function} options.onPageScraped - Called after each page with progress so far
+   * @param {Map<string, Object>} options.knownItems - Items from a previous scrape; when set,
+   *   pagination stops at the first work whose lastVisited and visitCount are unchanged
+   * @returns {Promise<Object[]>} Array of all history items within the time range
    */
   async function scrapeReadingHistory(username, onProgress, options = {}) {
     resetCancel();
-    const allItems = [];
-    const { timeRange = 'all', pageLimit = 100 } = options;
+    const {
+      timeRange = 'all',
+      pageLimit = 100,
+      startPage = 1,
+      totalPages: knownTotalPages = null,
+      previousItems = [],
+      onPageScraped = null,
+      knownItems = null
+    } = options;
+    const allItems = [...previousItems];
+    const range = getDateRange(options);
 
     // Get total page count
     onProgress({
@@ -596,7 +1306,7 @@ const AO3Scraper = (function () {
       percent: 0
     });
 
-    let totalPages = await getHistoryPageCount(username);
+    let totalPages = knownTotalPages || await getHistoryPageCount(username);
 
     // Apply page limit if set
     if (timeRange === 'pages' && pageLimit > 0) {
@@ -605,12 +1315,14 @@ const AO3Scraper = (function () {
 
     onProgress({
       phase: 'history',
-      message: `Found ${totalPages} pages of reading history`,
+      message: startPage > 1
+        ? `Resuming reading history at page ${startPage}/${totalPages}`
+        : `Found ${totalPages} pages of reading history`,
       percent: 5
     });
 
     // Scrape each history page
-    for (let page = 1; page <= totalPages; page++) {
+    for (let page = startPage; page <= totalPages; page++) {
       if (isCancelled()) {
         throw new Error('Scraping cancelled by user');
       }
@@ -622,37 +1334,66 @@ const AO3Scraper = (function () {
         percent: 5 + (page / totalPages) * 25
       });
 
-      const items = await scrapeHistoryPage(username, page);
+      const pageItems = await scrapeHistoryPage(username, page);
+
+      // History is ordered by last visit, so everything after the first unchanged work is old news
+      const { items, caughtUp } = knownItems
+        ? takeUntilKnown(pageItems, item => isHistoryItemUnchanged(item, knownItems))
+        : { items: pageItems, caughtUp: false };
       allItems.push(...items);
 
-      // Rate limit between pages
-      if (page < totalPages) {
-        await delay(getCurrentRateLimit());
+      if (onPageScraped) {
+        await onPageScraped({ page, totalPages, items: allItems });
       }
-    }
 
-    // Apply time range filter if set to "year"
-    if (timeRange === 'year') {
-      return allItems.filter(item => isWithinLastYear(item.lastVisited));
+      if (caughtUp) {
+        onProgress({
+          phase: 'history',
+          message: 'Caught up with your last Wrapped',
+          detail: `${allItems.length} new or updated works in your history`,
+          percent: 30
+        });
+        break;
+      }
+
+      // Once a page reaches back before the start date, every later page is older still
+      if (items.some(item => isBeforeRange(item.lastVisited, range))) {
+        onProgress({
+          phase: 'history',
+          message: 'Reached the start of your date range',
+          detail: page < totalPages ? `Skipping ${totalPages - page} older pages of history` : '',
+          percent: 30
+        });
+        break;
+      }
     }
 
-    return allItems;
+    return filterToRange(allItems, range);
   }
 
   /**
    * Scrapes all bookmarks for a user
    * @param {string} username - AO3 username
    * @param {Function} onProgress - Progress callback
-   * @param {Object} options - Scraping options
+   * @param {Object} options - Scraping options (same resume options as scrapeReadingHistory)
    * @param {number} progressOffset - Offset for progress percentage
    * @returns {Promise<Object[]>} Array of all bookmark items
    */
   async function scrapeBookmarks(username, onProgress, options = {}, progressOffset = 0) {
-    const allItems = [];
-    const { timeRange = 'all', pageLimit = 100 } = options;
+    const {
+      timeRange = 'all',
+      pageLimit = 100,
+      startPage = 1,
+      totalPages: knownTotalPages = null,
+      previousItems = [],
+      onPageScraped = null,
+      knownItems = null
+    } = options;
+    const allItems = [...previousItems];
+    const range = getDateRange(options);
 
     // Get total page count
-    let totalPages = await getBookmarkPageCount(username);
+    let totalPages = knownTotalPages || await getBookmarkPageCount(username);
 
     // Apply page limit if set
     if (timeRange === 'pages' && pageLimit > 0) {
@@ -661,12 +1402,14 @@ const AO3Scraper = (function () {
 
     onProgress({
       phase: 'bookmarks',
-      message: `Found ${totalPages} pages of bookmarks`,
+      message: startPage > 1
+        ? `Resuming bookmarks at page ${startPage}/${totalPages}`
+        : `Found ${totalPages} pages of bookmarks`,
       percent: progressOffset + 2
     });
 
     // Scrape each bookmark page
-    for (let page = 1; page <= totalPages; page++) {
+    for (let page = startPage; page <= totalPages; page++) {
       if (isCancelled()) {
         throw new Error('Scraping cancelled by user');
       }
@@ -678,92 +1421,286 @@ const AO3Scraper = (function () {
         percent: progressOffset + (page / totalPages) * 12
       });
 
-      const items = await scrapeBookmarkPage(username, page);
-      allItems.push(...items);
+      const pageItems = await scrapeBookmarkPage(username, page);
+
+      // Bookmarks are ordered newest first, so stop at the first one we already had
+      const { items, caughtUp } = knownItems
+        ? takeUntilKnown(pageItems, item => isBookmarkKnown(item, knownItems))
+        : { items: pageItems, caughtUp: false };
+      allItems.push(...await expandSeriesBookmarks(items, onProgress, progressOffset + (page / totalPages) * 12));
 
-      // Rate limit between pages
-      if (page < totalPages) {
-        await delay(getCurrentRateLimit());
+      if (onPageScraped) {
+        await onPageScraped({ page, totalPages, items: allItems });
       }
-    }
 
-    // Apply time range filter if set to "year"
-    if (timeRange === 'year') {
-      return allItems.filter(item => isWithinLastYear(item.lastVisited));
+      if (caughtUp) {
+        onProgress({
+          phase: 'bookmarks',
+          message: 'Caught up with your last Wrapped',
+          detail: `${allItems.length} new bookmarks`,
+          percent: progressOffset + 12
+        });
+        break;
+      }
+
+      if (items.some(item => isBeforeRange(item.lastVisited, range))) {
+        onProgress({
+          phase: 'bookmarks',
+          message: 'Reached the start of your date range',
+          detail: page < totalPages ? `Skipping ${totalPages - page} older pages of bookmarks` : '',
+          percent: progressOffset + 12
+        });
+        break;
+      }
     }
 
-    return allItems;
+    return filterToRange(allItems, range);
   }
 
   /**
-   * Enriches history items with detailed work metadata
-   * @param {Object[]} historyItems - Array of history items
+   * Scrapes the user's Marked for Later list
+   * @param {string} username - AO3 username
    * @param {Function} onProgress - Progress callback
-   * @returns {Promise<Object[]>} Enriched history items
+   * @param {Object} options - Scraping options (same resume options as scrapeReadingHistory, without knownItems)
+   * @param {number} progressOffset - Offset for progress percentage
+   * @returns {Promise<Object[]>} Array of all marked for later items
    */
-  async function enrichWithMetadata(historyItems, onProgress) {
-    const total = historyItems.length;
-    let completed = 0;
-    let failed = 0;
+  async function scrapeMarkedForLater(username, onProgress, options = {}, progressOffset = 0) {
+    const {
+      timeRange = 'all',
+      pageLimit = 100,
+      startPage = 1,
+      totalPages: knownTotalPages = null,
+      previousItems = [],
+      onPageScraped = null
+    } = options;
+    const allItems = [...previousItems];
+    const range = getDateRange(options);
+
+    let totalPages = knownTotalPages || await getMarkedForLaterPageCount(username);
+
+    if (timeRange === 'pages' && pageLimit > 0) {
+      totalPages = Math.min(totalPages, pageLimit);
+    }
 
-    for (const item of historyItems) {
+    onProgress({
+      phase: 'to-read',
+      message: startPage > 1
+        ? `Resuming Marked for Later at page ${startPage}/${totalPages}`
+        : `Found ${totalPages} pages of works Marked for Later`,
+      percent: progressOffset + 2
+    });
+
+    for (let page = startPage; page <= totalPages; page++) {
       if (isCancelled()) {
         throw new Error('Scraping cancelled by user');
       }
 
       onProgress({
-        phase: 'metadata',
-        message: `Analyzing works... ${completed + 1}/${total}`,
-        detail: `"${item.title}"`,
-        percent: 30 + ((completed / total) * 60),
-        failedCount: failed
+        phase: 'to-read',
+        message: `Fetching Marked for Later... Page ${page}/${totalPages}`,
+        detail: `Respecting AO3's servers - please wait`,
+        percent: progressOffset + (page / totalPages) * 12
       });
 
-      try {
-        const metadata = await fetchWorkMetadata(item.workId);
+      const items = await scrapeMarkedForLaterPage(username, page);
+      allItems.push(...items);
 
-        // Merge metadata into item
-        Object.assign(item, metadata);
-      } catch (error) {
-        console.error(`Failed to fetch metadata for work ${item.workId}:`, error);
-        failed++;
-        // Continue with partial data - don't stop the whole process
+      if (onPageScraped) {
+        await onPageScraped({ page, totalPages, items: allItems });
       }
 
-      completed++;
-
-      // Rate limit between work fetches
-      if (completed < total) {
-        await delay(getCurrentRateLimit());
+      // Ordered by last visit like the full history
+      if (items.some(item => isBeforeRange(item.lastVisited, range))) {
+        onProgress({
+          phase: 'to-read',
+          message: 'Reached the start of your date range',
+          detail: page < totalPages ? `Skipping ${totalPages - page} older pages of Marked for Later` : '',
+          percent: progressOffset + 12
+        });
+        break;
       }
     }
 
-    return {
-      items: historyItems,
-      failed
-    };
+    return filterToRange(allItems, range);
   }
 
   /**
-   * Merges items from history and bookmarks, deduplicating by workId
-   * @param {Object[]} historyItems - Items from reading history
-   * @param {Object[]} bookmarkItems - Items from bookmarks
-   * @returns {Object[]} Merged array with duplicates removed
+   * Takes listing items up to (not including) the first one that was already known
+   * @param {Object[]} items - Items from one listing page, newest first
+   * @param {Function} isKnown - Predicate for items seen in the previous scrape
+   * @returns {{items: Object[], caughtUp: boolean}}
    */
-  function mergeItems(historyItems, bookmarkItems) {
-    const seen = new Map();
+  function takeUntilKnown(items, isKnown) {
+    const firstKnown = items.findIndex(isKnown);
+    if (firstKnown === -1) {
+      return { items, caughtUp: false };
+    }
+    return { items: items.slice(0, firstKnown), caughtUp: true };
+  }
 
-    // Add history items first (they have visit counts)
-    historyItems.forEach(item => {
+  /**
+   * Checks whether a history item is identical to the one stored last time
+   * @param {Object} item - Freshly scraped history item
+   * @param {Map<string, Object>} knownItems - Previous items by workId
+   * @returns {boolean}
+   */
+  function isHistoryItemUnchanged(item, knownItems) {
+    const known = knownItems.get(item.workId);
+    return Boolean(known) &&
+      known.lastVisited === item.lastVisited &&
+      known.visitCount === item.visitCount;
+  }
+
+  /**
+   * Checks whether a bookmark was already part of the previous scrape
+   * @param {Object} item - Freshly scraped bookmark item
+   * @param {Map<string, Object>} knownItems - Previous items by workId
+   * @returns {boolean}
+   */
+  function isBookmarkKnown(item, knownItems) {
+    if (item.isSeriesBookmark) {
+      return Array.from(knownItems.values()).some(known => known.seriesId === item.seriesId && known.isBookmark);
+    }
+    const known = knownItems.get(item.workId);
+    return Boolean(known && known.isBookmark);
+  }
+
+  /**
+   * Enriches history items with detailed work metadata from their work pages.
+   * By default only items whose listing blurb was missing data are fetched.
+   * @param {Object[]} historyItems - Array of history items
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Enrichment options
+   * @param {boolean} options.deep - Fetch every work page, not just incomplete items
+   * @param {Set<string>} options.workIds - Exact set of works to fetch (overrides deep)
+   * @param {Set<string>} options.processedWorkIds - Works already enriched in an earlier run
+   * @param {number} options.previouslyFailed - Failures carried over from an earlier run
+   * @param {Function} options.onWorkProcessed - Called after each work with progress so far
+   * @returns {Promise<Object[]>} Enriched history items
+   */
+  async function enrichWithMetadata(historyItems, onProgress, options = {}) {
+    const {
+      deep = false,
+      workIds = null,
+      processedWorkIds = new Set(),
+      previouslyFailed = 0,
+      onWorkProcessed = null
+    } = options;
+    const candidates = workIds ? historyItems.filter(item => workIds.has(item.workId)) :
+                       deep ? historyItems.filter(hasWorkPage) : historyItems.filter(needsWorkPage);
+    const total = candidates.length;
+    const pending = candidates.filter(item => !processedWorkIds.has(item.workId));
+    let completed = total - pending.length;
+    let failed = previouslyFailed;
+    let fromCacheCount = 0;
+
+    for (const item of pending) {
+      if (isCancelled()) {
+        throw new Error('Scraping cancelled by user');
+      }
+
+      onProgress({
+        phase: 'metadata',
+        message: `Analyzing works... ${completed + 1}/${total}`,
+        detail: `"${item.title}"`,
+        percent: 30 + ((completed / total) * 60),
+        failedCount: failed,
+        cachedCount: fromCacheCount
+      });
+
+      try {
+        const { fromCache, ...metadata } = await fetchWorkMetadata(item.workId);
+
+        // Merge metadata into item (a work that failed before may be back)
+        Object.assign(item, metadata);
+        delete item.unavailableReason;
+
+        if (fromCache) {
+          fromCacheCount++;
+        }
+      } catch (error) {
+        // A cancel interrupts the request; it says nothing about the work
+        if (isCancelled()) throw error;
+        console.error(`Failed to fetch metadata for work ${item.workId}:`, error);
+        item.unavailableReason = error.reason || 'network';
+        failed++;
+        // Continue with partial data - don't stop the whole process
+      }
+
+      completed++;
+      processedWorkIds.add(item.workId);
+
+      if (onWorkProcessed) {
+        await onWorkProcessed({ processedWorkIds, failed });
+      }
+    }
+
+    return {
+      items: historyItems,
+      failed,
+      fromCache: fromCacheCount,
+      fetched: total
+    };
+  }
+
+  /**
+   * Fills in the title, authors and fandoms of "Deleted work" and "Mystery Work" history
+   * items from the metadata cache, since AO3 only gives the placeholder for them
+   * @param {Object[]} items - Listing items
+   */
+  async function fillPlaceholdersFromCache(items) {
+    for (const item of items.filter(item => HISTORY_PLACEHOLDER_TITLES.includes(item.title))) {
+      const cached = await getCachedMetadata(item.workId);
+      if (!cached || !cached.title) continue;
+
+      item.title = cached.title;
+      item.authors = cached.authors || [];
+      item.fandoms = cached.fandoms || [];
+    }
+  }
+
+  /**
+   * Copies what a bookmark adds (flag, bookmarker details, series) onto an item for the same work
+   * @param {Object} existing - Item already collected for the work
+   * @param {Object} bookmark - Bookmark item for the same work
+   */
+  function mergeBookmarkInto(existing, bookmark) {
+    existing.isBookmark = true;
+
+    // A work bookmarked directly and through a series keeps the first bookmark's details
+    if (!existing.bookmarkTags || existing.bookmarkTags.length === 0) {
+      existing.bookmarkTags = bookmark.bookmarkTags || [];
+    }
+    existing.bookmarkNotes = existing.bookmarkNotes || bookmark.bookmarkNotes || null;
+    existing.isRec = Boolean(existing.isRec || bookmark.isRec);
+    existing.isPrivate = Boolean(existing.isPrivate || bookmark.isPrivate);
+
+    if (bookmark.seriesId && !existing.seriesId) {
+      existing.seriesId = bookmark.seriesId;
+      existing.seriesTitle = bookmark.seriesTitle;
+      existing.seriesComplete = bookmark.seriesComplete;
+    }
+  }
+
+  /**
+   * Merges items from history and bookmarks, deduplicating by workId
+   * @param {Object[]} historyItems - Items from reading history
+   * @param {Object[]} bookmarkItems - Items from bookmarks
+   * @returns {Object[]} Merged array with duplicates removed
+   */
+  function mergeItems(historyItems, bookmarkItems) {
+    const seen = new Map();
+
+    // Add history items first (they have visit counts)
+    historyItems.forEach(item => {
       seen.set(item.workId, item);
     });
 
     // Add bookmark items, merging with existing if present
     bookmarkItems.forEach(item => {
       if (seen.has(item.workId)) {
-        // Merge bookmark flag into existing item
-        const existing = seen.get(item.workId);
-        existing.isBookmark = true;
+        mergeBookmarkInto(seen.get(item.workId), item);
       } else {
         seen.set(item.workId, item);
       }
@@ -772,68 +1709,860 @@ const AO3Scraper = (function () {
     return Array.from(seen.values());
   }
 
+  // ==================
+  // Subscriptions
+  // ==================
+
+  /**
+   * Fetches the total number of subscription pages for a user
+   * @param {string} username - AO3 username
+   * @returns {Promise<number>} Total number of pages
+   */
+  async function getSubscriptionPageCount(username) {
+    const url = `${AO3_BASE_URL}/users/${username}/subscriptions`;
+    return getPageCount(url, 'subscriptions');
+  }
+
+  /**
+   * Parses every subscription on a subscriptions page
+   * @param {Document} doc - Parsed subscriptions page
+   * @returns {Object[]} Subscriptions with type 'work', 'series' or 'user'
+   */
+  function parseSubscriptionsPage(doc) {
+    const subscriptions = [];
+
+    doc.querySelectorAll('dl.subscription dt').forEach(entry => {
+      const link = entry.querySelector('a');
+      if (!link) return;
+
+      const href = link.getAttribute('href') || '';
+      const workMatch = href.match(/\/works\/(\d+)/);
+      const seriesMatch = href.match(/\/series\/(\d+)/);
+      const userMatch = href.match(/\/users\/([^/?#]+)/);
+
+      let type = null;
+      let id = null;
+      if (workMatch) {
+        type = 'work';
+        id = workMatch[1];
+      } else if (seriesMatch) {
+        type = 'series';
+        id = seriesMatch[1];
+      } else if (userMatch) {
+        type = 'user';
+        id = decodeURIComponent(userMatch[1]);
+      }
+      if (!type) return;
+
+      subscriptions.push({
+        type,
+        id,
+        title: link.textContent.trim(),
+        // Works and series are followed by a byline
+        authors: type === 'user' ? [] : getAllText(entry, 'a[rel="author"]'),
+        // Filled in for works by checkSubscribedWorks
+        complete: null,
+        chapters: null,
+        dateUpdated: null
+      });
+    });
+
+    return subscriptions;
+  }
+
+  /**
+   * Scrapes a single page of subscriptions
+   * @param {string} username - AO3 username
+   * @param {number} pageNum - Page number to fetch
+   * @returns {Promise<Object[]>} Array of subscriptions
+   */
+  async function scrapeSubscriptionsPage(username, pageNum) {
+    const url = `${AO3_BASE_URL}/users/${username}/subscriptions?page=${pageNum}`;
+    const result = await fetchPage(url);
+
+    if (!result.success) {
+      throw new Error(`Failed to fetch subscriptions page ${pageNum}: ${result.error}`);
+    }
+
+    return parseSubscriptionsPage(parseHTML(result.html));
+  }
+
+  /**
+   * Scrapes every work, series and user the user is subscribed to.
+   * Subscriptions have no dates, so the time range doesn't apply (only a page limit does).
+   * @param {string} username - AO3 username
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Scraping options (same resume options as scrapeReadingHistory, without knownItems)
+   * @param {number} progressOffset - Offset for progress percentage
+   * @returns {Promise<Object[]>} Array of all subscriptions
+   */
+  async function scrapeSubscriptions(username, onProgress, options = {}, progressOffset = 0) {
+    const {
+      timeRange = 'all',
+      pageLimit = 100,
+      startPage = 1,
+      totalPages: knownTotalPages = null,
+      previousItems = [],
+      onPageScraped = null
+    } = options;
+    const allItems = [...previousItems];
+
+    let totalPages = knownTotalPages || await getSubscriptionPageCount(username);
+
+    if (timeRange === 'pages' && pageLimit > 0) {
+      totalPages = Math.min(totalPages, pageLimit);
+    }
+
+    for (let page = startPage; page <= totalPages; page++) {
+      if (isCancelled()) {
+        throw new Error('Scraping cancelled by user');
+      }
+
+      onProgress({
+        phase: 'subscriptions',
+        message: `Fetching subscriptions... Page ${page}/${totalPages}`,
+        detail: `Respecting AO3's servers - please wait`,
+        percent: progressOffset + (page / totalPages) * 2
+      });
+
+      allItems.push(...await scrapeSubscriptionsPage(username, page));
+
+      if (onPageScraped) {
+        await onPageScraped({ page, totalPages, items: allItems });
+      }
+    }
+
+    return allItems;
+  }
+
+  /**
+   * Fills in completion and last update for subscribed works, from the scraped
+   * works where possible and from their work pages (or the cache) otherwise
+   * @param {Object[]} subscriptions - Subscriptions from scrapeSubscriptions
+   * @param {Object[]} items - Works already scraped
+   * @param {Function} onProgress - Progress callback
+   * @param {number} progressOffset - Offset for progress percentage
+   * @returns {Promise<Object[]>} Subscriptions with work status filled in
+   */
+  async function checkSubscribedWorks(subscriptions, items, onProgress, progressOffset = 0) {
+    const known = new Map(items.map(item => [item.workId, item]));
+    const subscribedWorks = subscriptions.filter(sub => sub.type === 'work');
+    const checked = [];
+
+    for (const [index, sub] of subscribedWorks.entries()) {
+      if (isCancelled()) {
+        throw new Error('Scraping cancelled by user');
+      }
+
+      const item = known.get(sub.id);
+      if (item && item.dateUpdated && item.complete !== null && item.complete !== undefined) {
+        checked.push({ ...sub, complete: item.complete, chapters: item.chapters, dateUpdated: item.dateUpdated });
+        continue;
+      }
+
+      onProgress({
+        phase: 'subscriptions',
+        message: `Checking subscribed works... ${index + 1}/${subscribedWorks.length}`,
+        detail: `"${sub.title}"`,
+        percent: progressOffset + ((index + 1) / subscribedWorks.length) * 3
+      });
+
+      try {
+        const metadata = await fetchWorkMetadata(sub.id);
+        checked.push({ ...sub, complete: metadata.complete, chapters: metadata.chapters, dateUpdated: metadata.dateUpdated });
+      } catch (error) {
+        if (isCancelled()) throw error;
+        // Deleted or locked works keep an unknown status
+        console.error(`Failed to check subscribed work ${sub.id}:`, error);
+        checked.push(sub);
+      }
+    }
+
+    return [...checked, ...subscriptions.filter(sub => sub.type !== 'work')];
+  }
+
+  // ==================
+  // Checkpoints
+  // ==================
+
+  /**
+   * Flags works on the Marked for Later list, adding the ones not already collected
+   * as to-read-only, so they're kept out of the reading stats
+   * @param {Object[]} items - Items from history and bookmarks
+   * @param {Object[]} toReadItems - Items from the Marked for Later list
+   * @returns {Object[]} Merged items
+   */
+  function mergeMarkedForLater(items, toReadItems) {
+    const seen = new Map(items.map(item => [item.workId, item]));
+    const added = [];
+
+    toReadItems.forEach(item => {
+      const existing = seen.get(item.workId);
+      if (existing) {
+        existing.isMarkedForLater = true;
+      } else {
+        const toReadOnly = { ...item, isToReadOnly: true };
+        seen.set(item.workId, toReadOnly);
+        added.push(toReadOnly);
+      }
+    });
+
+    return [...items, ...added];
+  }
+
+  /**
+   * Combines the stored datasets of several accounts into one, counting each work once.
+   * A work on more than one account keeps its most recent visit and its highest visit
+   * count (bookmark-only entries carry a placeholder count of 1, so counts aren't added),
+   * plus whatever bookmark and Marked for Later details any of the accounts had.
+   * @param {Object[]} datasets - Stored datasets ({username, scrapedAt, items, subscriptions?})
+   * @returns {{items: Object[], subscriptions: Object[]|null, scrapedAt: number|null}}
+   */
+  function combineDatasets(datasets) {
+    const seen = new Map();
+    const subscriptions = new Map();
+
+    datasets.forEach(dataset => {
+      dataset.items.forEach(item => {
+        const existing = seen.get(item.workId);
+        if (!existing) {
+          seen.set(item.workId, { ...item });
+          return;
+        }
+
+        existing.visitCount = Math.max(existing.visitCount || 0, item.visitCount || 0);
+        const visited = Date.parse(item.lastVisited);
+        if (!isNaN(visited) && !(Date.parse(existing.lastVisited) >= visited)) {
+          existing.lastVisited = item.lastVisited;
+        }
+        if (item.isBookmark) {
+          mergeBookmarkInto(existing, item);
+        }
+        existing.isMarkedForLater = Boolean(existing.isMarkedForLater || item.isMarkedForLater);
+        // Read on any of the accounts counts as read
+        existing.isToReadOnly = Boolean(existing.isToReadOnly && item.isToReadOnly);
+      });
+
+      (dataset.subscriptions || []).forEach(subscription => {
+        subscriptions.set(`${subscription.type}:${subscription.id}`, subscription);
+      });
+    });
+
+    const scrapedTimes = datasets.map(dataset => dataset.scrapedAt).filter(Boolean);
+    return {
+      items: Array.from(seen.values()),
+      subscriptions: subscriptions.size > 0 ? Array.from(subscriptions.values()) : null,
+      // The combined Wrapped is only as current as its oldest part
+      scrapedAt: scrapedTimes.length > 0 ? Math.min(...scrapedTimes) : null
+    };
+  }
+
+  /**
+   * Creates an empty checkpoint for a new scrape
+   * @param {string} username - AO3 username
+   * @param {Object} options - Scraping options
+   * @returns {Object} Checkpoint
+   */
+  function createCheckpoint(username, options) {
+    return {
+      version: CHECKPOINT_VERSION,
+      username,
+      options,
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      // Listing phases: items are raw until the phase completes, then filtered
+      history: { totalPages: null, pagesDone: 0, items: [], complete: false },
+      bookmarks: { totalPages: null, pagesDone: 0, items: [], complete: false },
+      toRead: { totalPages: null, pagesDone: 0, items: [], complete: false },
+      subscriptions: { totalPages: null, pagesDone: 0, items: [], complete: false },
+      // Metadata phase: merged items, with metadata merged in as each work is processed
+      items: null,
+      workPageIds: null,
+      processedWorkIds: [],
+      failed: 0
+    };
+  }
+
+  /**
+   * Persists a checkpoint through the main process
+   * @param {Object} checkpoint - Checkpoint to save
+   */
+  async function saveCheckpoint(checkpoint) {
+    checkpoint.updatedAt = Date.now();
+    try {
+      await api.saveScrapeCheckpoint(checkpoint);
+    } catch (error) {
+      // A missed checkpoint only costs some re-fetching; never fail the scrape over it
+      console.error('Failed to save scrape checkpoint:', error);
+    }
+  }
+
+  /**
+   * Loads the saved checkpoint if it belongs to this user and can be resumed
+   * @param {string} username - AO3 username
+   * @returns {Promise<Object|null>} Checkpoint, or null if there is nothing to resume
+   */
+  async function getResumableCheckpoint(username) {
+    try {
+      const result = await api.getScrapeCheckpoint();
+      const checkpoint = result.success ? result.checkpoint : null;
+      if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) return null;
+      if (username && checkpoint.username !== username) return null;
+      return checkpoint;
+    } catch (error) {
+      console.error('Failed to load scrape checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Summarizes a checkpoint for display
+   * @param {Object} checkpoint - Checkpoint
+   * @returns {{collected: number, processed: number, total: number|null}}
+   */
+  function describeCheckpoint(checkpoint) {
+    if (checkpoint.items) {
+      return {
+        collected: checkpoint.items.length,
+        processed: checkpoint.processedWorkIds.length,
+        total: checkpoint.workPageIds ? checkpoint.workPageIds.length : checkpoint.items.length
+      };
+    }
+    return {
+      collected: checkpoint.history.items.length + checkpoint.bookmarks.items.length +
+        (checkpoint.toRead ? checkpoint.toRead.items.length : 0),
+      processed: 0,
+      total: null
+    };
+  }
+
+  /**
+   * Deletes any saved checkpoint
+   */
+  async function clearCheckpoint() {
+    try {
+      await api.clearScrapeCheckpoint();
+    } catch (error) {
+      console.error('Failed to clear scrape checkpoint:', error);
+    }
+  }
+
+  /**
+   * Scrapes one listing source (history, bookmarks or Marked for Later), resuming from its checkpoint state
+   * @param {Function} scrapeFn - scrapeReadingHistory, scrapeBookmarks or scrapeMarkedForLater
+   * @param {Object} phaseState - checkpoint.history, checkpoint.bookmarks or checkpoint.toRead
+   * @param {Object} checkpoint - Checkpoint that owns phaseState
+   * @param {string} username - AO3 username
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} scrapingOptions - Time range options
+   * @param {...*} extraArgs - Extra arguments passed through to scrapeFn
+   * @returns {Promise<Object[]>} Items from this source
+   */
+  async function scrapeListingWithCheckpoint(scrapeFn, phaseState, checkpoint, username, onProgress, scrapingOptions, ...extraArgs) {
+    if (phaseState.complete) {
+      return phaseState.items;
+    }
+
+    const items = await scrapeFn(username, onProgress, {
+      ...scrapingOptions,
+      startPage: phaseState.pagesDone + 1,
+      totalPages: phaseState.totalPages,
+      previousItems: phaseState.items,
+      onPageScraped: async ({ page, totalPages, items: collected }) => {
+        phaseState.pagesDone = page;
+        phaseState.totalPages = totalPages;
+        phaseState.items = collected;
+        await saveCheckpoint(checkpoint);
+      }
+    }, ...extraArgs);
+
+    phaseState.items = items;
+    phaseState.complete = true;
+    await saveCheckpoint(checkpoint);
+
+    return items;
+  }
+
+  /**
+   * Gets where the Marked for Later phase starts on the progress bar
+   * @param {string} source - 'both', 'history', 'bookmarks' or 'none'
+   * @returns {number} Percent already used by the history and bookmark phases
+   */
+  function getListingProgressOffset(source) {
+    if (source === 'both') return 42;
+    if (source === 'history') return 30;
+    if (source === 'bookmarks') return 12;
+    return 0;
+  }
+
   /**
    * Main scraping function - orchestrates the entire process
    * @param {string} username - AO3 username
    * @param {Function} onProgress - Progress callback
    * @param {Object} options - Scraping options
+   * @param {string} options.source - 'both', 'history', 'bookmarks' or 'none'
+   * @param {boolean} options.markedForLater - Also scrape the Marked for Later list
+   * @param {boolean} options.includeSubscriptions - Also scrape subscriptions and check subscribed works
+   * @param {string} options.timeRange - Time range (see getDateRange for 'calendar' and 'custom' options)
+   * @param {boolean} options.deep - Fetch every work page instead of only those the listings couldn't fill in
+   * @param {Object} options.resumeFrom - Checkpoint from getResumableCheckpoint to continue from
    * @returns {Promise<Object>} Complete scraping results
    */
   async function scrapeAll(username, onProgress, options = {}) {
     resetCancel();
 
-    const { source = 'both', timeRange = 'year', pageLimit = 10 } = options;
-    const scrapingOptions = { timeRange, pageLimit };
+    const { resumeFrom = null } = options;
+    // A resumed scrape keeps the options it was started with
+    const {
+      source = 'both',
+      markedForLater = false,
+      includeSubscriptions = false,
+      timeRange = 'year',
+      pageLimit = 10,
+      year = null,
+      startDate = null,
+      endDate = null,
+      deep = false
+    } = resumeFrom ? resumeFrom.options : options;
+    const scrapingOptions = { timeRange, pageLimit, year, startDate, endDate };
+    const checkpoint = resumeFrom || createCheckpoint(username, {
+      source, markedForLater, includeSubscriptions, ...scrapingOptions, deep
+    });
+
+    try {
+      let allItems = checkpoint.items;
+
+      if (!allItems) {
+        allItems = [];
+
+        // Phase 1a: Get reading history (if needed)
+        if (source === 'both' || source === 'history') {
+          const historyItems = await scrapeListingWithCheckpoint(
+            scrapeReadingHistory, checkpoint.history, checkpoint, username, onProgress, scrapingOptions
+          );
+          allItems = historyItems;
+        }
+
+        // Phase 1b: Get bookmarks (if needed)
+        if (source === 'both' || source === 'bookmarks') {
+          const bookmarkItems = await scrapeListingWithCheckpoint(
+            scrapeBookmarks, checkpoint.bookmarks, checkpoint, username, onProgress, scrapingOptions,
+            source === 'both' ? 30 : 0
+          );
+
+          // Merge and deduplicate (a work can be bookmarked on its own and through a series)
+          allItems = mergeItems(allItems, bookmarkItems);
+        }
+
+        // Phase 1c: Get the Marked for Later list (if needed)
+        if (markedForLater) {
+          const toReadItems = await scrapeListingWithCheckpoint(
+            scrapeMarkedForLater, checkpoint.toRead, checkpoint, username, onProgress, scrapingOptions,
+            getListingProgressOffset(source)
+          );
+          allItems = mergeMarkedForLater(allItems, toReadItems);
+        }
+
+        if (allItems.length === 0) {
+          await clearCheckpoint();
+          return {
+            success: true,
+            items: [],
+            totalWorks: 0,
+            failed: 0,
+            message: source === 'bookmarks' && !markedForLater ? 'No bookmarks found' :
+                     source === 'history' && !markedForLater ? 'No reading history found' :
+                     source === 'none' ? 'No works Marked for Later found' :
+                     'No works found in the selected sources'
+          };
+        }
+
+        // Listing pages are no longer needed once the merged list is saved
+        checkpoint.items = allItems;
+        checkpoint.history.items = [];
+        checkpoint.bookmarks.items = [];
+        checkpoint.toRead.items = [];
+        await saveCheckpoint(checkpoint);
+      }
+
+      // Phase 2: Enrich with metadata, only for works whose listing blurb was missing data
+      if (!checkpoint.workPageIds) {
+        const needed = allItems.filter(deep ? hasWorkPage : needsWorkPage);
+        checkpoint.workPageIds = needed.map(item => item.workId);
+        await saveCheckpoint(checkpoint);
+      }
+
+      const remaining = checkpoint.workPageIds.length - checkpoint.processedWorkIds.length;
+
+      if (remaining > 0) {
+        onProgress({
+          phase: 'metadata',
+          message: checkpoint.processedWorkIds.length > 0
+            ? 'Resuming analysis of individual works...'
+            : 'Starting to analyze individual works...',
+          detail: deep
+            ? `${remaining} works to process`
+            : `${remaining} of ${allItems.length} works need their work page checked`,
+          percent: 30
+        });
+      }
+
+      const { items, failed, fromCache } = await enrichWithMetadata(allItems, onProgress, {
+        workIds: new Set(checkpoint.workPageIds),
+        processedWorkIds: new Set(checkpoint.processedWorkIds),
+        previouslyFailed: checkpoint.failed,
+        onWorkProcessed: async ({ processedWorkIds, failed: failedSoFar }) => {
+          checkpoint.processedWorkIds = Array.from(processedWorkIds);
+          checkpoint.failed = failedSoFar;
+          await saveCheckpoint(checkpoint);
+        }
+      });
+      await fillPlaceholdersFromCache(items);
+
+      // Phase 3: Subscriptions (if needed)
+      let subscriptions = null;
+      if (includeSubscriptions) {
+        const subscriptionItems = await scrapeListingWithCheckpoint(
+          scrapeSubscriptions, checkpoint.subscriptions, checkpoint, username, onProgress, scrapingOptions, 90
+        );
+        subscriptions = await checkSubscribedWorks(subscriptionItems, items, onProgress, 92);
+      }
+
+      // Phase 4: Complete
+      onProgress({
+        phase: 'complete',
+        message: 'Calculating your stats...',
+        percent: 95
+      });
+
+      await clearCheckpoint();
+
+      return {
+        success: true,
+        items,
+        subscriptions,
+        totalWorks: items.length,
+        failed,
+        fromCache,
+        message: failed > 0
+          ? `Completed with ${failed} works that couldn't be fully loaded`
+          : 'All works processed successfully'
+      };
+
+    } catch (error) {
+      // The checkpoint is kept so the scrape can be resumed later
+      if (error.message.includes('cancelled')) {
+        return {
+          success: false,
+          cancelled: true,
+          message: 'Scraping was cancelled'
+        };
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        message: `Scraping failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Incremental refresh - fetches only history and bookmarks newer than a previous
+   * scrape and merges them into it
+   * @param {string} username - AO3 username
+   * @param {Object[]} previousItems - Items from the stored dataset
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Options the stored dataset was scraped with
+   * @returns {Promise<Object>} Refresh results with newCount and changedCount
+   */
+  async function refreshAll(username, previousItems, onProgress, options = {}) {
+    resetCancel();
+
+    const { source = 'both', markedForLater = false, includeSubscriptions = false, deep = false } = options;
+    const knownItems = new Map(previousItems.map(item => [item.workId, item]));
+    // Page limits don't apply: a refresh stops on its own once it catches up
+    const scrapingOptions = { timeRange: 'all', knownItems };
 
     try {
-      let allItems = [];
+      let historyItems = [];
+      let freshItems = [];
 
-      // Phase 1a: Get reading history (if needed)
       if (source === 'both' || source === 'history') {
-        const historyItems = await scrapeReadingHistory(username, onProgress, scrapingOptions);
-        allItems = historyItems;
+        historyItems = await scrapeReadingHistory(username, onProgress, scrapingOptions);
+        freshItems = historyItems;
       }
 
-      // Phase 1b: Get bookmarks (if needed)
       if (source === 'both' || source === 'bookmarks') {
-        if (source === 'both') {
-          await delay(getCurrentRateLimit());
-        }
         const bookmarkItems = await scrapeBookmarks(username, onProgress, scrapingOptions, source === 'both' ? 30 : 0);
+        freshItems = mergeItems(historyItems, bookmarkItems);
+      }
 
-        if (source === 'both') {
-          // Merge and deduplicate
-          allItems = mergeItems(allItems, bookmarkItems);
+      // The Marked for Later list is fetched in full, since works also leave it when read or unmarked
+      let toReadIds = null;
+      if (markedForLater) {
+        const toReadItems = await scrapeMarkedForLater(username, onProgress, { timeRange: 'all' }, getListingProgressOffset(source));
+        toReadIds = new Set(toReadItems.map(item => item.workId));
+        freshItems = mergeMarkedForLater(freshItems, toReadItems.filter(item => !knownItems.has(item.workId)));
+      }
+
+      // Work pages are only needed for new or changed works
+      const { failed, fromCache, fetched } = await enrichWithMetadata(freshItems, onProgress, { deep });
+
+      // Merge into the stored dataset
+      const historyIds = new Set(historyItems.map(item => item.workId));
+      const merged = new Map(knownItems);
+      let newCount = 0;
+      let changedCount = 0;
+
+      freshItems.forEach(item => {
+        const existing = merged.get(item.workId);
+        if (!existing) {
+          newCount++;
+          merged.set(item.workId, item);
+          return;
+        }
+
+        changedCount++;
+        if (HISTORY_PLACEHOLDER_TITLES.includes(item.title)) {
+          // The work has since been deleted or hidden - keep what we knew about it
+          merged.set(item.workId, {
+            ...existing,
+            visitCount: item.visitCount,
+            lastVisited: item.lastVisited,
+            unavailableReason: item.unavailableReason
+          });
+        } else if (historyIds.has(item.workId)) {
+          // Revisited (or updated) - take the fresh data but keep anything only the old item had
+          merged.set(item.workId, {
+            ...existing, ...item, isBookmark: existing.isBookmark || item.isBookmark, isToReadOnly: false
+          });
         } else {
-          allItems = bookmarkItems;
+          // Newly bookmarked work that was already in the history (or on the Marked for Later list)
+          mergeBookmarkInto(existing, item);
+          existing.isToReadOnly = false;
         }
+      });
+
+      // Newest first, matching the order of a full scrape
+      const freshIds = new Set(freshItems.map(item => item.workId));
+      let items = [
+        ...freshItems.map(item => merged.get(item.workId)),
+        ...previousItems.filter(item => !freshIds.has(item.workId))
+      ];
+
+      // Works that were already gone when first scraped may have been cached since
+      await fillPlaceholdersFromCache(items);
+
+      if (toReadIds) {
+        // Works that were only kept for the list go once they've been unmarked
+        items = items
+          .filter(item => !item.isToReadOnly || toReadIds.has(item.workId))
+          .map(item => ({ ...item, isMarkedForLater: toReadIds.has(item.workId) }));
+      }
+
+      // Subscriptions are always fetched in full, since there's no order to catch up with
+      let subscriptions = null;
+      if (includeSubscriptions) {
+        const subscriptionItems = await scrapeSubscriptions(username, onProgress, {}, 90);
+        subscriptions = await checkSubscribedWorks(subscriptionItems, items, onProgress, 92);
       }
 
-      if (allItems.length === 0) {
+      items = filterToRange(items, getDateRange(options));
+
+      onProgress({
+        phase: 'complete',
+        message: 'Calculating your stats...',
+        percent: 95
+      });
+
+      return {
+        success: true,
+        items,
+        subscriptions,
+        totalWorks: items.length,
+        newCount,
+        changedCount,
+        failed,
+        fromCache,
+        fetched,
+        message: `Found ${newCount} new and ${changedCount} changed works`
+      };
+
+    } catch (error) {
+      if (error.message.includes('cancelled')) {
         return {
-          success: true,
-          items: [],
-          totalWorks: 0,
-          failed: 0,
-          message: source === 'bookmarks' ? 'No bookmarks found' :
-                   source === 'history' ? 'No reading history found' :
-                   'No reading history or bookmarks found'
+          success: false,
+          cancelled: true,
+          message: 'Refresh was cancelled'
         };
       }
 
-      // Phase 2: Enrich with metadata
+      return {
+        success: false,
+        error: error.message,
+        message: `Refresh failed: ${error.message}`
+      };
+    }
+  }
+
+  // ==================
+  // Creator Mode (the user's own works)
+  // ==================
+
+  /**
+   * Parses a work blurb from the user's works page
+   * @param {Element} item - DOM element representing a work blurb
+   * @returns {Object|null} Parsed work, or null if it has no work link
+   */
+  function parseCreatorWork(item) {
+    const titleLink = item.querySelector('h4.heading a[href*="/works/"]');
+    if (!titleLink) return null;
+
+    const workIdMatch = titleLink.getAttribute('href').match(/\/works\/(\d+)/);
+    if (!workIdMatch) return null;
+
+    return {
+      workId: workIdMatch[1],
+      title: titleLink.textContent.trim(),
+      authors: getAllText(item, 'a[rel="author"]'),
+      fandoms: getAllText(item, 'h5.fandoms a.tag'),
+      ...parseBlurbTags(item),
+      ...parseBlurbDetails(item),
+      // Filled in from the stats page
+      subscriptions: null,
+      commentThreads: null
+    };
+  }
+
+  /**
+   * Parses every work on a page of the user's works
+   * @param {Document} doc - Parsed works page
+   * @returns {Object[]} Parsed works
+   */
+  function parseCreatorWorksPage(doc) {
+    const parsed = [];
+    doc.querySelectorAll('li.work.blurb').forEach(item => {
+      const work = parseCreatorWork(item);
+      if (work) {
+        parsed.push(work);
+      }
+    });
+    return parsed;
+  }
+
+  /**
+   * Parses the user's stats page: totals for the account and stats for each work
+   * @param {Document} doc - Parsed stats page (flat view)
+   * @returns {{totals: Object, works: Map<string, Object>}}
+   */
+  function parseCreatorStatsPage(doc) {
+    const totalsElement = doc.querySelector('dl.statistics');
+    const totals = totalsElement ? {
+      userSubscriptions: getCount(totalsElement, 'dd.user.subscriptions'),
+      kudos: getCount(totalsElement, 'dd.kudos'),
+      commentThreads: getCount(totalsElement, 'dd.comment.thread.count'),
+      bookmarks: getCount(totalsElement, 'dd.bookmarks'),
+      subscriptions: getCount(totalsElement, 'dd.subscriptions:not(.user)'),
+      words: getCount(totalsElement, 'dd.words'),
+      hits: getCount(totalsElement, 'dd.hits')
+    } : null;
+
+    const works = new Map();
+    doc.querySelectorAll('ul.index > li').forEach(item => {
+      const link = item.querySelector('a[href*="/works/"]');
+      const workIdMatch = link ? link.getAttribute('href').match(/\/works\/(\d+)/) : null;
+      if (!workIdMatch) return;
+
+      works.set(workIdMatch[1], {
+        hits: getCount(item, 'dd.hits'),
+        kudos: getCount(item, 'dd.kudos'),
+        commentThreads: getCount(item, 'dd.comments'),
+        bookmarks: getCount(item, 'dd.bookmarks'),
+        subscriptions: getCount(item, 'dd.subscriptions')
+      });
+    });
+
+    return { totals, works };
+  }
+
+  /**
+   * Scrapes the user's own works and their stats for a creator Wrapped
+   * @param {string} username - AO3 username
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} Results with the works and account totals
+   */
+  async function scrapeCreator(username, onProgress) {
+    resetCancel();
+
+    try {
       onProgress({
-        phase: 'metadata',
-        message: 'Starting to analyze individual works...',
-        detail: `${allItems.length} works to process`,
-        percent: 30
+        phase: 'init',
+        message: 'Checking how many works you\'ve posted...',
+        percent: 0
       });
 
-      await delay(getCurrentRateLimit());
+      const worksUrl = `${AO3_BASE_URL}/users/${username}/works`;
+      const totalPages = await getPageCount(worksUrl, 'your works');
+      const works = [];
+
+      for (let page = 1; page <= totalPages; page++) {
+        if (isCancelled()) {
+          throw new Error('Scraping cancelled by user');
+        }
+
+        onProgress({
+          phase: 'creator-works',
+          message: `Fetching your works... Page ${page}/${totalPages}`,
+          detail: `Respecting AO3's servers - please wait`,
+          percent: 5 + (page / totalPages) * 70
+        });
 
-      const { items, failed } = await enrichWithMetadata(allItems, onProgress);
+        const result = await fetchPage(`${worksUrl}?page=${page}`);
+        if (!result.success) {
+          throw new Error(`Failed to fetch works page ${page}: ${result.error}`);
+        }
+        works.push(...parseCreatorWorksPage(parseHTML(result.html)));
+      }
+
+      if (works.length === 0) {
+        return {
+          success: true,
+          works: [],
+          totals: null,
+          message: 'No works found'
+        };
+      }
+
+      if (isCancelled()) {
+        throw new Error('Scraping cancelled by user');
+      }
+
+      // Hits, comment threads and subscriptions per work are only on the stats page
+      onProgress({
+        phase: 'creator-stats',
+        message: 'Fetching your stats page...',
+        detail: `${works.length} works found`,
+        percent: 80
+      });
+
+      const statsResult = await fetchPage(`${AO3_BASE_URL}/users/${username}/stats?flat_view=true`);
+      let totals = null;
+      if (statsResult.success) {
+        const stats = parseCreatorStatsPage(parseHTML(statsResult.html));
+        totals = stats.totals;
+        works.forEach(work => {
+          const workStats = stats.works.get(work.workId);
+          if (!workStats) return;
+          Object.entries(workStats).forEach(([field, value]) => {
+            if (value !== null) work[field] = value;
+          });
+        });
+      } else {
+        // The listing still has kudos, hits and bookmarks, so carry on without it
+        console.error('Failed to fetch stats page:', statsResult.error);
+      }
 
-      // Phase 3: Complete
       onProgress({
         phase: 'complete',
         message: 'Calculating your stats...',
@@ -842,12 +2571,11 @@ const AO3Scraper = (function () {
 
       return {
         success: true,
-        items,
-        totalWorks: items.length,
-        failed,
-        message: failed > 0
-          ? `Completed with ${failed} works that couldn't be fully loaded`
-          : 'All works processed successfully'
+        works,
+        totals,
+        message: statsResult.success
+          ? 'All works processed successfully'
+          : 'Your stats page couldn\'t be loaded, so comment threads and subscriptions are missing'
       };
 
     } catch (error) {
@@ -867,22 +2595,242 @@ const AO3Scraper = (function () {
     }
   }
 
+  // ==================
+  // Saved Pages (offline mode)
+  // ==================
+
+  /**
+   * Finds the work ID on a saved work page
+   * @param {Document} doc - Parsed work page
+   * @returns {string|null}
+   */
+  function getWorkPageId(doc) {
+    const kudosInput = doc.querySelector('#kudo_commentable_id');
+    if (kudosInput && /^\d+$/.test(kudosInput.value)) {
+      return kudosInput.value;
+    }
+
+    // Saved pages keep their links, so fall back to the work's own links, most specific first
+    const selectors = ['ul.work.navigation a[href*="/works/"]', 'link[rel="canonical"]', 'a[href*="/works/"]'];
+    for (const selector of selectors) {
+      for (const link of doc.querySelectorAll(selector)) {
+        const match = (link.getAttribute('href') || '').match(/\/works\/(\d+)/);
+        if (match) return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the series ID on a saved series page
+   * @param {Document} doc - Parsed series page
+   * @returns {string|null}
+   */
+  function getSeriesPageId(doc) {
+    const selectors = ['link[rel="canonical"]', 'a[href*="/series/"]'];
+    for (const selector of selectors) {
+      for (const link of doc.querySelectorAll(selector)) {
+        const match = (link.getAttribute('href') || '').match(/\/series\/(\d+)/);
+        if (match) return match[1];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Works out what kind of AO3 page a saved file is
+   * @param {Document} doc - Parsed page
+   * @returns {string|null} 'history', 'bookmarks', 'series', 'work', or null if unrecognized
+   */
+  function getSavedPageType(doc) {
+    if (doc.querySelector('.reading.work.blurb')) return 'history';
+    if (doc.querySelector('.bookmark.blurb, li.bookmark')) return 'bookmarks';
+    if (doc.querySelector('ul.series.work.index')) return 'series';
+    if (doc.querySelector('dl.work.meta')) return 'work';
+    return null;
+  }
+
+  /**
+   * Builds a Wrapped from AO3 pages the user saved from their own browser,
+   * using the same parsers as a live scrape but without any network requests
+   * @param {Object[]} files - Saved pages as {name, html}
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Scraping options
+   * @param {string} options.source - 'both', 'history' or 'bookmarks'
+   * @returns {Promise<Object>} Results with items and a count of each page type read
+   */
+  async function scrapeSavedPages(files, onProgress, options = {}) {
+    const { source = 'both' } = options;
+    const historyItems = [];
+    const bookmarkItems = [];
+    const workPages = new Map();
+    const seriesPages = new Map();
+    const pages = { history: 0, bookmarks: 0, series: 0, works: 0, skipped: [] };
+
+    for (const [index, file] of files.entries()) {
+      onProgress({
+        phase: 'offline',
+        message: `Reading saved pages... ${index + 1}/${files.length}`,
+        detail: file.name,
+        percent: Math.round(((index + 1) / files.length) * 90)
+      });
+
+      // No rate limit here, just give the progress screen a chance to repaint
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const doc = parseHTML(file.html);
+      const type = getSavedPageType(doc);
+
+      if (type === 'history') {
+        pages.history++;
+        historyItems.push(...parseHistoryPage(doc));
+      } else if (type === 'bookmarks') {
+        pages.bookmarks++;
+        bookmarkItems.push(...parseBookmarkPage(doc));
+      } else if (type === 'series') {
+        const seriesId = getSeriesPageId(doc);
+        if (!seriesId) {
+          pages.skipped.push(file.name);
+          continue;
+        }
+        pages.series++;
+        // Long series span several saved pages
+        const series = parseSeriesPage(doc);
+        const existing = seriesPages.get(seriesId);
+        if (existing) {
+          existing.works.push(...series.works);
+        } else {
+          seriesPages.set(seriesId, series);
+        }
+      } else if (type === 'work') {
+        const workId = getWorkPageId(doc);
+        if (!workId) {
+          pages.skipped.push(file.name);
+          continue;
+        }
+        pages.works++;
+        workPages.set(workId, {
+          title: getText(doc, 'h2.title.heading'),
+          authors: getAllText(doc, 'h3.byline a[rel="author"]'),
+          metadata: parseWorkPage(doc, workId)
+        });
+      } else {
+        pages.skipped.push(file.name);
+      }
+    }
+
+    // Bookmarked series can only be filled in from their saved series pages
+    const expandedBookmarks = [];
+    let missingSeries = 0;
+    bookmarkItems.forEach(item => {
+      if (!item.isSeriesBookmark) {
+        expandedBookmarks.push(item);
+        return;
+      }
+      const series = seriesPages.get(item.seriesId);
+      if (series) {
+        expandedBookmarks.push(...toSeriesWorks(series.works, item, series));
+      } else {
+        missingSeries++;
+      }
+    });
+
+    // The same listing page may have been saved twice
+    const dedupe = items => Array.from(new Map(items.map(item => [item.workId, item])).values());
+    const useHistory = source === 'both' || source === 'history';
+    const useBookmarks = source === 'both' || source === 'bookmarks';
+    const items = mergeItems(
+      useHistory ? dedupe(historyItems) : [],
+      useBookmarks ? expandedBookmarks : []
+    );
+
+    // Fill in listing items from their saved work pages
+    const itemIds = new Set();
+    items.forEach(item => {
+      itemIds.add(item.workId);
+      const page = workPages.get(item.workId);
+      if (page) {
+        Object.assign(item, page.metadata);
+      }
+    });
+
+    // Work pages saved on their own still count as works read
+    workPages.forEach((page, workId) => {
+      if (itemIds.has(workId)) return;
+      items.push({
+        workId,
+        title: page.title || 'Untitled',
+        authors: page.authors,
+        visitCount: 1,
+        lastVisited: null,
+        ...page.metadata
+      });
+    });
+
+    const filtered = filterToRange(items, getDateRange(options));
+
+    onProgress({
+      phase: 'complete',
+      message: 'Calculating your stats...',
+      percent: 95
+    });
+
+    return {
+      success: true,
+      items: filtered,
+      totalWorks: filtered.length,
+      pages,
+      missingDetails: filtered.filter(needsWorkPage).length,
+      missingSeries
+    };
+  }
+
   // Public API
   return {
+    connect,
     scrapeAll,
+    refreshAll,
+    scrapeSavedPages,
+    scrapeCreator,
+    getResumableCheckpoint,
+    describeCheckpoint,
+    combineDatasets,
+    clearCheckpoint,
     scrapeReadingHistory,
     scrapeBookmarks,
+    scrapeMarkedForLater,
+    scrapeSubscriptions,
     fetchWorkMetadata,
     requestCancel,
     resetCancel,
     isCancelled,
+    requestPause,
+    requestResume,
     getHistoryPageCount,
     getBookmarkPageCount,
+    getMarkedForLaterPageCount,
+    estimateScrape,
     setRateLimitCallback,
     resetRateLimit,
-    getCurrentRateLimit
+    getCurrentRateLimit,
+    UNAVAILABLE_REASONS
   };
 })();
 
-// Make available globally
-window.AO3Scraper = AO3Scraper;
+if (typeof module !== 'undefined' && module.exports) {
+  // Loaded by the main process, which connects it to its own request queue
+  module.exports = AO3Scraper;
+} else {
+  AO3Scraper.connect(window.electronAPI, DOMParser);
+  // Only the main process drives scrapes, so the window gets the parts that don't start one
+  window.AO3Scraper = {
+    scrapeSavedPages: AO3Scraper.scrapeSavedPages,
+    getResumableCheckpoint: AO3Scraper.getResumableCheckpoint,
+    describeCheckpoint: AO3Scraper.describeCheckpoint,
+    combineDatasets: AO3Scraper.combineDatasets,
+    clearCheckpoint: AO3Scraper.clearCheckpoint,
+    setRateLimitCallback: AO3Scraper.setRateLimitCallback,
+    UNAVAILABLE_REASONS: AO3Scraper.UNAVAILABLE_REASONS
+  };
+}
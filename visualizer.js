@@ -26,7 +26,21 @@ const Visualizer = (function () {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone, and the result also goes into attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Gets the link for a work, which for external works is the site it's hosted on.
+   * Snapshots and imported files can carry any externalUrl, so only web links are used.
+   * @param {Object} work - Work object
+   * @returns {string|null}
+   */
+  function getWorkUrl(work) {
+    if (work.isExternal) {
+      return /^https?:\/\//i.test(work.externalUrl || '') ? work.externalUrl : null;
+    }
+    return work.workId ? `https://archiveofourown.org/works/${work.workId}` : null;
   }
 
   /**
@@ -70,7 +84,7 @@ const Visualizer = (function () {
    * @returns {string} HTML string
    */
   function createListSlide(config) {
-    const { title, items } = config;
+    const { title, items, small } = config;
     const listHTML = items.map((item, index) => `
       <div class="slide-list-item">
         <span class="slide-list-rank">${index + 1}.</span>
@@ -85,6 +99,7 @@ const Visualizer = (function () {
         <div class="slide-list">
           ${listHTML}
         </div>
+        ${small ? `<p class="slide-small">${escapeHTML(small)}</p>` : ''}
       </div>
     `;
   }
@@ -95,7 +110,7 @@ const Visualizer = (function () {
    * @returns {string} HTML string
    */
   function createTagCloudSlide(config) {
-    const { title, tags } = config;
+    const { title, tags, subtitle, small } = config;
 
     // Calculate size classes based on frequency
     const maxCount = tags.length > 0 ? tags[0].count : 1;
@@ -115,23 +130,29 @@ const Visualizer = (function () {
         <div class="tag-cloud">
           ${tagsHTML}
         </div>
+        ${subtitle ? `<p class="slide-subtitle">${escapeHTML(subtitle)}</p>` : ''}
+        ${small ? `<p class="slide-small">${escapeHTML(small)}</p>` : ''}
       </div>
     `;
   }
 
   /**
-   * Creates the HTML for a rating breakdown slide
+   * Creates the HTML for a rating breakdown slide (or another breakdown drawn the same way)
    * @param {Object} config - Slide configuration
+   * @param {Object[]} config.ratings - Rows with shortName and percent
+   * @param {string} config.label - Slide label (defaults to the rating distribution)
+   * @param {string} config.fillClass - Bar color class for every row (defaults to one per rating)
+   * @param {string} config.small - Small print under the chart
    * @returns {string} HTML string
    */
   function createRatingSlide(config) {
-    const { ratings } = config;
+    const { ratings, label = 'Your Rating Distribution', fillClass = null, small } = config;
 
     const barsHTML = ratings.map(r => `
       <div class="rating-bar-container">
         <span class="rating-label">${escapeHTML(r.shortName)}</span>
         <div class="rating-bar">
-          <div class="rating-bar-fill ${r.shortName.toLowerCase()}" style="width: ${r.percent}%"></div>
+          <div class="rating-bar-fill ${fillClass || r.shortName.toLowerCase()}" style="width: ${r.percent}%"></div>
         </div>
         <span class="rating-percent">${r.percent}%</span>
       </div>
@@ -139,10 +160,11 @@ const Visualizer = (function () {
 
     return `
       <div class="slide-content">
-        <p class="slide-label">Your Rating Distribution</p>
+        <p class="slide-label">${escapeHTML(label)}</p>
         <div class="rating-chart">
           ${barsHTML}
         </div>
+        ${small ? `<p class="slide-small">${escapeHTML(small)}</p>` : ''}
       </div>
     `;
   }
@@ -150,9 +172,10 @@ const Visualizer = (function () {
   /**
    * Creates the HTML for the final summary slide
    * @param {Object} stats - Statistics object
+   * @param {string|null} periodLabel - Year the stats cover, if known
    * @returns {string} HTML string
    */
-  function createSummarySlide(stats) {
+  function createSummarySlide(stats, periodLabel) {
     // Build summary items based on available data
     const items = [];
 
@@ -193,7 +216,7 @@ const Visualizer = (function () {
 
     return `
       <div class="slide-content">
-        <p class="slide-label">Your Year in Fic</p>
+        <p class="slide-label">${periodLabel ? `Your ${escapeHTML(periodLabel)} in Fic` : 'Your Year in Fic'}</p>
         <div class="summary-stats">
           ${summaryHTML}
         </div>
@@ -235,12 +258,12 @@ const Visualizer = (function () {
     }
 
     const authors = work.authors?.join(', ') || 'Anonymous';
-    const workUrl = work.workId ? `https://archiveofourown.org/works/${work.workId}` : null;
+    const workUrl = getWorkUrl(work);
 
     return `
       <div class="slide-content">
         <p class="slide-label">${escapeHTML(label)}</p>
-        <h2 class="slide-title">${workUrl ? `<a href="${workUrl}" target="_blank" class="invisible-link">` : ''}"${escapeHTML(truncate(work.title, 60))}"${workUrl ? '</a>' : ''}</h2>
+        <h2 class="slide-title">${workUrl ? `<a href="${escapeHTML(workUrl)}" target="_blank" class="invisible-link">` : ''}"${escapeHTML(truncate(work.title, 60))}"${workUrl ? '</a>' : ''}</h2>
         <p class="slide-subtitle">by ${escapeHTML(truncate(authors, 40))}</p>
         ${stat ? `<p class="slide-number" style="font-size: 4rem; margin-top: 1rem;">${escapeHTML(String(stat))}</p>` : ''}
         ${statLabel ? `<p class="slide-unit">${escapeHTML(statLabel)}</p>` : ''}
@@ -248,12 +271,41 @@ const Visualizer = (function () {
     `;
   }
 
+  /**
+   * Creates the TBR backlog slide
+   * @param {Object} tbr - tbrStats from the analyzer
+   * @returns {string} HTML string
+   */
+  function createTbrSlide(tbr) {
+    const oldest = tbr.oldest;
+    const oldestUrl = oldest ? getWorkUrl(oldest) : null;
+    return `
+      <div class="slide-content">
+        <p class="slide-label">Your TBR pile</p>
+        <p class="slide-number">${tbr.count}</p>
+        <p class="slide-unit">work${tbr.count === 1 ? '' : 's'} Marked for Later</p>
+        <p class="slide-subtitle">${escapeHTML(tbr.wordsFormatted)} words - about ${tbr.hours.toLocaleString()} hours of reading</p>
+        ${oldest ? `<p class="slide-small">Waiting the longest: ${oldestUrl ? `<a href="${escapeHTML(oldestUrl)}" target="_blank" class="invisible-link">` : ''}"${escapeHTML(truncate(oldest.title, 40))}"${oldestUrl ? '</a>' : ''}${oldest.daysWaiting > 0 ? `, for ${oldest.daysWaiting.toLocaleString()} days` : ''}</p>` : ''}
+        ${tbr.finishedSinceMarked > 0 ? `<p class="slide-small">${tbr.finishedPercent}% of the WIPs you saved for later have been completed since. No more excuses!</p>` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Generates all slides from statistics
    * @param {Object} stats - Statistics object from analyzer
+   * @param {Object} context - Extra display context
+   * @param {string} context.periodLabel - Year (or span of years) the stats cover, if known
    * @returns {string[]} Array of HTML strings for each slide
    */
-  function generateSlides(stats) {
+  function generateSlides(stats, context = {}) {
+    const { periodLabel = null } = context;
+
+    // Only the Marked for Later list was scraped: the backlog is all there is to show
+    if (stats.isEmpty && stats.tbrStats && stats.tbrStats.count > 0) {
+      return [createTbrSlide(stats.tbrStats), createThankYouSlide()];
+    }
+
     if (stats.isEmpty) {
       return [
         `<div class="slide active">
@@ -270,7 +322,7 @@ const Visualizer = (function () {
 
     // Slide 1: Total Works
     slides.push(createNumberSlide({
-      label: 'This year you read',
+      label: periodLabel ? `In ${periodLabel} you read` : 'This year you read',
       number: stats.totalWorks,
       unit: 'works'
     }));
@@ -341,6 +393,26 @@ const Visualizer = (function () {
       }));
     }
 
+    // Slide: Category Breakdown (M/M, F/M, F/F, Gen, Multi, Other)
+    if (stats.favoriteCategory) {
+      slides.push(createRatingSlide({
+        label: 'Your Category Mix',
+        ratings: stats.categoryBreakdown
+          .filter(c => c.count > 0)
+          .map(c => ({ shortName: c.category, percent: c.percent })),
+        fillClass: 'category',
+        small: `Mostly ${stats.favoriteCategory.category}`
+      }));
+    }
+
+    // Slide: Languages (only worth a slide when there's more than one)
+    if (stats.languageCount > 1) {
+      slides.push(createListSlide({
+        title: `You read in ${stats.languageCount} languages`,
+        items: stats.topLanguages.map(([name, count]) => ({ name, count }))
+      }));
+    }
+
     // Slide 9: Longest Work
     if (stats.longestWork) {
       slides.push(createWorkSlide({
@@ -378,7 +450,7 @@ const Visualizer = (function () {
       slides.push(`
         <div class="slide-content">
           <p class="slide-label">${escapeHTML('Your most-read author')}</p>
-          <h2 class="slide-title"><a href="${authorUrl}" target="_blank" class="invisible-link">${escapeHTML(authorName)}</a></h2>
+          <h2 class="slide-title"><a href="${escapeHTML(authorUrl)}" target="_blank" class="invisible-link">${escapeHTML(authorName)}</a></h2>
           <p class="slide-subtitle">${stats.topAuthor[1]} of their works</p>
         </div>
       `);
@@ -471,7 +543,7 @@ const Visualizer = (function () {
           <p class="slide-number">${stats.readingTime.days}</p>
           <p class="slide-unit">straight days of reading</p>
           <p class="slide-subtitle">That's ${stats.readingTime.hours.toLocaleString()} hours of fic!</p>
-          <p class="slide-small">Based on 250 words per minute</p>
+          <p class="slide-small">Based on ${stats.readingTime.wordsPerMinute || 250} words per minute</p>
         </div>
       `);
     }
@@ -501,11 +573,11 @@ const Visualizer = (function () {
       // Secret favorite slide
       if (stats.bookmarkStats.secretFavorite && stats.bookmarkStats.bookmarkRatio < 75) {
         const fav = stats.bookmarkStats.secretFavorite;
-        const favUrl = fav.workId ? `https://archiveofourown.org/works/${fav.workId}` : null;
+        const favUrl = getWorkUrl(fav);
         slides.push(`
           <div class="slide-content">
             <p class="slide-label">Your secret favorite</p>
-            <h2 class="slide-title">${favUrl ? `<a href="${favUrl}" target="_blank" class="invisible-link">` : ''}"${escapeHTML(truncate(fav.title, 50))}"${favUrl ? '</a>' : ''}</h2>
+            <h2 class="slide-title">${favUrl ? `<a href="${escapeHTML(favUrl)}" target="_blank" class="invisible-link">` : ''}"${escapeHTML(truncate(fav.title, 50))}"${favUrl ? '</a>' : ''}</h2>
             <p class="slide-subtitle">You returned ${fav.visitCount} times, but never bookmarked it</p>
             <p class="slide-small">Your heart knows what it wants</p>
           </div>
@@ -513,8 +585,136 @@ const Visualizer = (function () {
       }
     }
 
+    // Slide: The user's own bookmark tags, recs and notes
+    const habits = stats.bookmarkHabits;
+    if (habits && habits.topPersonalTags.length > 0) {
+      // Set the user's own word for these works against the one the authors used most
+      const mine = habits.signatureTags[0] || habits.topPersonalTags[0];
+      const matchLine = `${habits.tagMatchPercent}% of your tags match what the author tagged`;
+      const subtitle = habits.topAuthorTag
+        ? `You tag them "${truncate(mine[0], 30)}" - the authors went with "${truncate(habits.topAuthorTag[0], 30)}"`
+        : matchLine;
+      const extras = [];
+      if (habits.recCount > 0) extras.push(`${habits.recCount} rec${habits.recCount === 1 ? '' : 's'}`);
+      if (habits.annotatedCount > 0) extras.push(`${habits.annotatedCount} with notes`);
+      if (habits.privateCount > 0) extras.push(`${habits.privateCount} kept private`);
+
+      const smallLines = [];
+      if (habits.topAuthorTag) smallLines.push(matchLine);
+      if (extras.length > 0) smallLines.push(`Of your bookmarks: ${extras.join(', ')}`);
+
+      slides.push(createTagCloudSlide({
+        title: 'Your own tagging habits',
+        tags: habits.topPersonalTags.map(([name, count]) => ({ name, count })),
+        subtitle,
+        small: smallLines.join('. ')
+      }));
+    } else if (habits && habits.recCount > 0) {
+      slides.push(createNumberSlide({
+        label: 'Your recs',
+        number: habits.recCount,
+        unit: habits.recCount === 1 ? 'bookmark marked as a rec' : 'bookmarks marked as recs',
+        subtitle: `${habits.recPercent}% of your bookmarks`
+      }));
+    }
+
+    // Slide: Most-annotated bookmark
+    if (habits && habits.mostAnnotated.length > 0 && habits.mostAnnotated[0].noteWords >= 20) {
+      const annotated = habits.mostAnnotated[0];
+      slides.push(createWorkSlide({
+        label: 'You had the most to say about',
+        work: annotated,
+        stat: annotated.noteWords.toLocaleString(),
+        statLabel: 'words of bookmark notes'
+      }));
+    }
+
+    // Slide: TBR backlog (if the Marked for Later list was included)
+    if (stats.tbrStats && stats.tbrStats.count > 0) {
+      slides.push(createTbrSlide(stats.tbrStats));
+    }
+
+    // Slide: Subscriptions (if they were scraped)
+    const subs = stats.subscriptionStats;
+    if (subs && subs.total > 0) {
+      const hopesHTML = subs.abandonedHopes.slice(0, 3).map(sub => `
+        <div class="slide-list-item">
+          <span class="slide-list-name"><a href="https://archiveofourown.org/works/${encodeURIComponent(sub.id)}" target="_blank" class="invisible-link">${escapeHTML(truncate(sub.title, 40))}</a></span>
+          <span class="slide-list-count">(${Math.floor(sub.daysSinceUpdate / 365)}y+)</span>
+        </div>
+      `).join('');
+      const topAuthor = subs.readAuthors[0];
+
+      slides.push(`
+        <div class="slide-content">
+          <p class="slide-label">Fics you're waiting on</p>
+          <p class="slide-number">${subs.waitingCount}</p>
+          <p class="slide-unit">subscribed WIP${subs.waitingCount === 1 ? '' : 's'}</p>
+          ${subs.abandonedCount > 0 ? `
+            <p class="slide-subtitle">Abandoned hopes: ${subs.abandonedCount} haven't updated in over a year</p>
+            <div class="slide-list">${hopesHTML}</div>
+          ` : '<p class="slide-subtitle">Every one of them has updated in the last year!</p>'}
+          ${subs.userCount > 0 ? `<p class="slide-small">You read ${subs.readAuthors.length} of the ${subs.userCount} author${subs.userCount === 1 ? '' : 's'} you subscribe to ${periodLabel ? `in ${subs.readAuthorsYear}` : 'this year'}${topAuthor ? ` - ${escapeHTML(truncate(topAuthor[0], 30))} most of all` : ''}</p>` : ''}
+        </div>
+      `);
+    }
+
+    // Slide: External Works (if any were bookmarked)
+    if (stats.externalStats && stats.externalStats.count > 0) {
+      const topExternalFandom = stats.externalStats.topFandoms[0];
+      slides.push(createNumberSlide({
+        label: 'Beyond the Archive',
+        number: stats.externalStats.count,
+        unit: stats.externalStats.count === 1 ? 'external work bookmarked' : 'external works bookmarked',
+        subtitle: topExternalFandom ? `Mostly ${truncate(topExternalFandom[0], 40)}` : '',
+        small: 'Fic from elsewhere on the web still counts toward your fandoms, ships and tags'
+      }));
+    }
+
+    // Slide: Deleted works (if any still have a title to remember them by)
+    const unavailable = stats.unavailableStats;
+    if (unavailable && unavailable.goneButNotForgotten.length > 0) {
+      const deleted = unavailable.deletedCount;
+      slides.push(createListSlide({
+        title: 'Gone but not forgotten',
+        items: unavailable.goneButNotForgotten.map(work => ({ name: work.title, count: work.visitCount || 1 })),
+        small: `${deleted} work${deleted === 1 ? '' : 's'} you once read ${deleted === 1 ? 'has' : 'have'} been deleted from the Archive (with your visits before ${deleted === 1 ? 'it' : 'they'} went)`
+      }));
+    }
+
+    // Slide: Favorite Series (if any series were bookmarked)
+    if (stats.seriesStats && stats.seriesStats.favoriteSeries) {
+      const series = stats.seriesStats.favoriteSeries;
+      const seriesUrl = `https://archiveofourown.org/series/${series.seriesId}`;
+      const completion = series.complete === true ? 'Complete - you got the whole story!' :
+                         series.complete === false ? 'Still being written. The wait continues...' : '';
+      slides.push(`
+        <div class="slide-content">
+          <p class="slide-label">Your favorite series</p>
+          <h2 class="slide-title"><a href="${escapeHTML(seriesUrl)}" target="_blank" class="invisible-link">${escapeHTML(truncate(series.title, 60))}</a></h2>
+          <p class="slide-subtitle">${series.works} work${series.works === 1 ? '' : 's'} &bull; ${escapeHTML(series.wordsFormatted)} words</p>
+          ${completion ? `<p class="slide-small">${escapeHTML(completion)}</p>` : ''}
+          ${stats.seriesStats.totalSeries > 1 ? `<p class="slide-small">One of ${stats.seriesStats.totalSeries} series you bookmarked</p>` : ''}
+        </div>
+      `);
+    }
+
+    // Slide: Reading Within Series
+    const seriesReading = stats.seriesReading;
+    if (seriesReading && seriesReading.seriesCount > 0 && seriesReading.topSeries[0].worksRead > 1) {
+      const topReadSeries = seriesReading.topSeries[0];
+      slides.push(createTitleSlide({
+        label: 'The series you followed furthest',
+        title: truncate(topReadSeries.title, 60),
+        subtitle: `${topReadSeries.worksRead} works read • ${seriesReading.percent}% of your reading was part of a series`,
+        small: seriesReading.startedAtPartOne === seriesReading.seriesCount
+          ? 'You always start at Part 1. Respect.'
+          : `You started ${seriesReading.startedAtPartOne} of ${seriesReading.seriesCount} series at Part 1`
+      }));
+    }
+
     // Summary Slide
-    slides.push(createSummarySlide(stats));
+    slides.push(createSummarySlide(stats, periodLabel));
 
     // Thank You Slide
     slides.push(createThankYouSlide());
@@ -522,6 +722,281 @@ const Visualizer = (function () {
     return slides;
   }
 
+  /**
+   * Creates the HTML for a side-by-side "then vs now" slide
+   * @param {Object} config - Slide configuration
+   * @returns {string} HTML string
+   */
+  function createVersusSlide(config) {
+    const { label, labels, then, now, subtitle, small } = config;
+    return `
+      <div class="slide-content">
+        <p class="slide-label">${escapeHTML(label)}</p>
+        <div class="versus">
+          <div class="versus-side">
+            <p class="versus-label">${escapeHTML(labels.then)}</p>
+            <p class="versus-value">${escapeHTML(truncate(String(then), 40))}</p>
+          </div>
+          <span class="versus-arrow">&rarr;</span>
+          <div class="versus-side">
+            <p class="versus-label">${escapeHTML(labels.now)}</p>
+            <p class="versus-value">${escapeHTML(truncate(String(now), 40))}</p>
+          </div>
+        </div>
+        ${subtitle ? `<p class="slide-subtitle">${escapeHTML(subtitle)}</p>` : ''}
+        ${small ? `<p class="slide-small">${escapeHTML(small)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generates the "Then vs Now" slides from a comparison of two datasets
+   * @param {Object} comparison - Comparison object from StatsAnalyzer.compare
+   * @returns {string[]} Array of HTML strings for each slide
+   */
+  function generateComparisonSlides(comparison) {
+    if (comparison.isEmpty) {
+      return [
+        `<div class="slide-content">
+          <p class="slide-label">Oops!</p>
+          <h2 class="slide-title">Nothing to Compare</h2>
+          <p class="slide-subtitle">Both Wrappeds need at least one work.</p>
+        </div>`
+      ];
+    }
+
+    const { labels, then, now } = comparison;
+    const slides = [];
+
+    // Intro
+    slides.push(createTitleSlide({
+      label: 'Then vs Now',
+      title: `${labels.then} → ${labels.now}`,
+      subtitle: 'How your reading changed'
+    }));
+
+    // Words read
+    const words = comparison.words;
+    let wordsMessage = 'Exactly as much fic. Uncanny.';
+    if (words.delta > 0) {
+      wordsMessage = words.percentChange !== null
+        ? `${words.percentChange}% more than ${labels.then}!`
+        : 'More fic than ever!';
+    } else if (words.delta < 0) {
+      wordsMessage = `${Math.abs(words.percentChange)}% less than ${labels.then}. Touch grass much?`;
+    }
+    slides.push(createNumberSlide({
+      label: 'Words read',
+      number: words.deltaFormatted,
+      unit: 'words',
+      subtitle: wordsMessage,
+      small: `${then.totalWordsFormatted} in ${labels.then}, ${now.totalWordsFormatted} in ${labels.now}`
+    }));
+
+    // Top fandom
+    if (then.topFandom[0] && now.topFandom[0]) {
+      slides.push(createVersusSlide({
+        label: 'Your top fandom',
+        labels,
+        then: then.topFandom[0],
+        now: now.topFandom[0],
+        subtitle: comparison.fandoms.topChanged ? 'A new obsession!' : 'Loyal to the end.'
+      }));
+    }
+
+    // New fandoms
+    if (comparison.fandoms.entered.length > 0) {
+      slides.push(createListSlide({
+        title: `New fandoms in ${labels.now}`,
+        items: comparison.fandoms.entered.slice(0, 5).map(([name, count]) => ({ name, count }))
+      }));
+    }
+
+    // Abandoned fandoms
+    if (comparison.fandoms.abandoned.length > 0) {
+      slides.push(createListSlide({
+        title: `Fandoms you left in ${labels.then}`,
+        items: comparison.fandoms.abandoned.slice(0, 5).map(([name, count]) => ({ name, count }))
+      }));
+    }
+
+    // Ships
+    if (comparison.ships.then[0] !== 'Unknown' && comparison.ships.now[0] !== 'Unknown') {
+      const newShipCount = comparison.ships.newShips.length;
+      slides.push(createVersusSlide({
+        label: 'Your top ship',
+        labels,
+        then: comparison.ships.then[0],
+        now: comparison.ships.now[0],
+        subtitle: comparison.ships.topChanged ? 'Your heart moved on.' : 'Still sailing strong.',
+        small: newShipCount > 0 ? `Plus ${newShipCount} ship${newShipCount === 1 ? '' : 's'} you hadn't read before` : ''
+      }));
+    }
+
+    // Smut shift
+    const smut = comparison.smut;
+    slides.push(createVersusSlide({
+      label: 'Your smut percentage',
+      labels,
+      then: `${smut.then}%`,
+      now: `${smut.now}%`,
+      subtitle: smut.delta > 0 ? `Up ${smut.delta} points. Things got spicy!` :
+                smut.delta < 0 ? `Down ${Math.abs(smut.delta)} points. Plot over porn?` : 'Perfectly consistent.'
+    }));
+
+    // Mood shift
+    const mood = comparison.mood;
+    const hasMood = m => m.fluff > 0 || m.angst > 0;
+    if (hasMood(mood.then) && hasMood(mood.now)) {
+      slides.push(createVersusSlide({
+        label: 'Fluff vs Angst',
+        labels,
+        then: mood.then.preference,
+        now: mood.now.preference,
+        subtitle: `${mood.then.fluffPercent}% → ${mood.now.fluffPercent}% fluff`,
+        small: mood.fluffDelta > 0 ? 'You went soft!' :
+               mood.fluffDelta < 0 ? 'You chose pain.' : 'Your heart is steady.'
+      }));
+    }
+
+    slides.push(createThankYouSlide());
+
+    return slides;
+  }
+
+  /**
+   * Generates the creator-mode slide deck from analyzeCreator statistics
+   * @param {Object} stats - Creator statistics object from analyzer
+   * @returns {string[]} Array of HTML strings for each slide
+   */
+  function generateCreatorSlides(stats) {
+    if (stats.isEmpty) {
+      return [
+        `<div class="slide-content">
+          <p class="slide-label">Oops!</p>
+          <h2 class="slide-title">No Works Found</h2>
+          <p class="slide-subtitle">Your masterpiece is waiting to be posted!</p>
+        </div>`
+      ];
+    }
+
+    const slides = [];
+    const { engagement } = stats;
+
+    // Intro
+    slides.push(createTitleSlide({
+      label: 'Smut Wrapped',
+      title: `Your ${stats.year} as a Writer`,
+      subtitle: `${stats.totalWorks} work${stats.totalWorks === 1 ? '' : 's'} on the Archive`
+    }));
+
+    // Words written this year
+    if (stats.wordsThisYear > 0) {
+      slides.push(createNumberSlide({
+        label: `In ${stats.year} you wrote`,
+        number: stats.wordsThisYearFormatted,
+        unit: 'words',
+        subtitle: `Across ${stats.worksThisYear} new or updated work${stats.worksThisYear === 1 ? '' : 's'}`,
+        small: stats.approximateBooks > 0 ? `That's about ${stats.approximateBooks} novel${stats.approximateBooks === 1 ? '' : 's'}!` : 'Every word counts!'
+      }));
+    } else {
+      slides.push(createNumberSlide({
+        label: 'All together you\'ve written',
+        number: stats.totalWordsFormatted,
+        unit: 'words',
+        small: `Nothing updated in ${stats.year} - yet!`
+      }));
+    }
+
+    // Fandoms written in
+    if (stats.topFandoms.length > 0) {
+      slides.push(createListSlide({
+        title: stats.uniqueFandomCount === 1 ? 'The fandom you write for' : `You've written for ${stats.uniqueFandomCount} fandoms`,
+        items: stats.topFandoms.slice(0, 5).map(([name, count]) => ({ name, count }))
+      }));
+    }
+
+    // Most-kudosed work
+    if (stats.mostKudosedWork) {
+      slides.push(createWorkSlide({
+        label: 'Your most-kudosed work',
+        work: stats.mostKudosedWork,
+        stat: stats.mostKudosedWork.kudos.toLocaleString(),
+        statLabel: 'kudos'
+      }));
+    }
+
+    // Hits trend
+    if (stats.hitsByYear.length > 1) {
+      const trend = stats.hitsTrend;
+      let trendMessage = 'Readers keep finding your work.';
+      if (trend && trend.direction === 'up') {
+        trendMessage = `Your ${stats.year} works average ${trend.percentChange}% more hits than your ${trend.previous.year} ones!`;
+      } else if (trend && trend.direction === 'down') {
+        trendMessage = `Your ${trend.previous.year} works are still ahead - give the new ones time.`;
+      } else if (trend) {
+        trendMessage = `Steady as ever compared to ${trend.previous.year}.`;
+      }
+      slides.push(createListSlide({
+        title: 'Average hits per work, by year updated',
+        items: stats.hitsByYear.slice(-5).map(entry => ({ name: String(entry.year), count: entry.averageHits.toLocaleString() })),
+        small: trendMessage
+      }));
+    } else if (engagement.hits > 0) {
+      slides.push(createNumberSlide({
+        label: 'Your works have been opened',
+        number: engagement.hits.toLocaleString(),
+        unit: 'times'
+      }));
+    }
+
+    // Reader response
+    if (engagement.kudos > 0 || engagement.commentThreads > 0) {
+      const responses = [];
+      if (engagement.commentThreads > 0) responses.push(`${engagement.commentThreads.toLocaleString()} comment threads`);
+      if (engagement.bookmarks > 0) responses.push(`${engagement.bookmarks.toLocaleString()} bookmarks`);
+      if (engagement.subscriptions > 0) responses.push(`${engagement.subscriptions.toLocaleString()} subscriptions`);
+      slides.push(createNumberSlide({
+        label: 'Your readers left',
+        number: engagement.kudos.toLocaleString(),
+        unit: 'kudos',
+        subtitle: responses.join(' • '),
+        small: engagement.kudosPerHundredHits > 0 ? `${engagement.kudosPerHundredHits} kudos for every 100 hits` : ''
+      }));
+    }
+
+    // Summary
+    const items = [
+      `<strong>${stats.totalWorks}</strong> works posted`,
+      `<strong>${stats.totalWordsFormatted}</strong> words written`
+    ];
+    if (stats.wordsThisYear > 0) {
+      items.push(`<strong>${stats.wordsThisYearFormatted}</strong> of them in ${stats.year}`);
+    }
+    if (stats.topFandom && stats.topFandom[1] > 0) {
+      items.push(`Top fandom: <strong>${escapeHTML(truncate(stats.topFandom[0], 30))}</strong>`);
+    }
+    if (engagement.hits > 0) {
+      items.push(`<strong>${engagement.hits.toLocaleString()}</strong> hits`);
+    }
+    if (engagement.userSubscriptions > 0) {
+      items.push(`<strong>${engagement.userSubscriptions.toLocaleString()}</strong> readers subscribed to you`);
+    }
+    slides.push(`
+      <div class="slide-content">
+        <p class="slide-label">Your ${stats.year} in Writing</p>
+        <div class="summary-stats">
+          ${items.map(item => `<p class="summary-item">${item}</p>`).join('')}
+        </div>
+        <p class="slide-small">Thank you for feeding the fandom!</p>
+      </div>
+    `);
+
+    slides.push(createThankYouSlide());
+
+    return slides;
+  }
+
   /**
    * Renders slides to the DOM
    * @param {string[]} slidesHTML - Array of slide HTML strings
@@ -586,6 +1061,8 @@ const Visualizer = (function () {
   // Public API
   return {
     generateSlides,
+    generateComparisonSlides,
+    generateCreatorSlides,
     renderSlides,
     goToSlide,
     captureSlide